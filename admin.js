@@ -0,0 +1,253 @@
+// admin.js
+// Authenticated JSON API for inspecting and operating on trainees.
+// Mounted at /admin when ADMIN_TOKEN is set; every request needs
+//   Authorization: Bearer <ADMIN_TOKEN>
+//
+//   GET    /admin/users?q=&onboarded=true|false   list / search
+//   GET    /admin/users/:key                      profile + stats (no logs)
+//   GET    /admin/users/:key/logs?from=&to=       daily logs (YYYY-MM-DD bounds, inclusive)
+//   PATCH  /admin/users/:key                      { name, timezone, amTime, pmTime, cutoffTime, goals,
+//                                                   reportDay, reportTime }
+//                                                 cutoffTime must be after amTime and pmTime; null = default
+//   POST   /admin/users/:key/reset-onboarding
+//   POST   /admin/users/:key/recalc               rebuild stats from logs
+//   POST   /admin/users/:key/jobs/:job            job = am | pm | weekly | monthly | quarterly
+//   GET    /admin/runtime                         jobs + counters
+//   GET    /admin/broadcasts                      list (counts only)
+//   POST   /admin/broadcasts                      { text, segment, sendAt?, dryRun? }
+//   GET    /admin/broadcasts/:id                  one broadcast with per-recipient delivery
+//   DELETE /admin/broadcasts/:id                  cancel (scheduled or in progress)
+//   GET    /admin/outbox                          queued + dead-lettered messages
+//   POST   /admin/outbox/dead/:id/retry           requeue a dead letter
+
+const crypto = require("crypto");
+const express = require("express");
+const bodyParser = require("body-parser");
+
+const { normalizeTimezone, formatTimeString } = require("./time");
+const { setHabitsFromText } = require("./habits");
+const { parseWeekday } = require("./reports");
+
+const JOB_NAMES = ["am", "pm", "weekly", "monthly", "quarterly"];
+
+function tokenMatches(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function userSummary(user) {
+  return {
+    userKey: user.userKey,
+    name: user.name || user.firstName || "",
+    telegramChatId: user.telegramChatId,
+    whatsappFrom: user.whatsappFrom,
+    onboarded: !!user.onboarded,
+    onboardingStep: user.onboardingStep,
+    timezone: user.timezone,
+    amTime: user.amTime,
+    pmTime: user.pmTime,
+    pending: user.pending,
+    stats: user.stats,
+  };
+}
+
+function userProfile(user) {
+  const { logs, memory, ...profile } = user;
+  return { ...profile, logDays: Object.keys(logs || {}).length };
+}
+
+// deps:
+//   token                   ADMIN_TOKEN
+//   users                   live user map
+//   runtime                 live runtime object
+//   saveUser(user)
+//   jobs                    { am(user), pm(user), weekly(user), monthly(user), quarterly(user), recalc(user) }
+//   broadcaster             see broadcast.js
+//   outbox                  see outbox.js
+//   logger
+function createAdminRouter({ token, users, runtime, saveUser, jobs, broadcaster, outbox, logger }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const header = req.get("authorization") || "";
+    const given = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+    if (!tokenMatches(token, given)) {
+      logger.warn({ event: "admin_denied", path: req.path, ip: req.ip });
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    next();
+  });
+
+  router.use(bodyParser.json());
+
+  router.param("key", (req, res, next, key) => {
+    const user = users[key];
+    if (!user) return res.status(404).json({ error: "user_not_found", userKey: key });
+    req.user = user;
+    next();
+  });
+
+  router.get("/users", (req, res) => {
+    const q = String(req.query.q || "").toLowerCase();
+    const onboarded = req.query.onboarded;
+
+    const list = Object.values(users)
+      .filter((u) => onboarded === undefined || String(!!u.onboarded) === onboarded)
+      .filter(
+        (u) =>
+          !q ||
+          [u.userKey, u.name, u.firstName, u.telegramChatId, u.whatsappFrom].some((v) =>
+            String(v || "").toLowerCase().includes(q)
+          )
+      )
+      .map(userSummary);
+
+    res.json({ count: list.length, users: list });
+  });
+
+  router.get("/users/:key", (req, res) => {
+    res.json(userProfile(req.user));
+  });
+
+  router.get("/users/:key/logs", (req, res) => {
+    const { from, to } = req.query;
+    const logs = {};
+
+    Object.keys(req.user.logs)
+      .sort()
+      .filter((d) => (!from || d >= from) && (!to || d <= to))
+      .forEach((d) => {
+        logs[d] = req.user.logs[d];
+      });
+
+    res.json({ userKey: req.user.userKey, stats: req.user.stats, logs });
+  });
+
+  router.patch("/users/:key", (req, res) => {
+    const user = req.user;
+    const body = req.body || {};
+    const errors = [];
+    const changes = {};
+
+    if (body.name !== undefined) {
+      const name = String(body.name).trim();
+      if (name) changes.name = name;
+      else errors.push("name: empty");
+    }
+
+    if (body.timezone !== undefined) {
+      const tz = normalizeTimezone(body.timezone);
+      if (tz) changes.timezone = tz;
+      else errors.push("timezone: unknown IANA zone");
+    }
+
+    if (body.reportDay !== undefined) {
+      const day = parseWeekday(body.reportDay);
+      if (day !== null) changes.reportDay = day;
+      else errors.push("reportDay: use a weekday (sun..sat or 0..6)");
+    }
+
+    for (const field of ["amTime", "pmTime", "reportTime", "cutoffTime"]) {
+      if (body[field] === undefined) continue;
+      if (field === "cutoffTime" && body[field] === null) {
+        changes.cutoffTime = null;
+        continue;
+      }
+      const t = formatTimeString(String(body[field]));
+      if (t) changes[field] = t;
+      else errors.push(`${field}: use HH:MM (24h)`);
+    }
+
+    // The cutoff fails unanswered prompts, so it has to come after both of them
+    const { amTime, pmTime, cutoffTime } = { ...user, ...changes };
+    if (!errors.length && cutoffTime && (cutoffTime <= amTime || cutoffTime <= pmTime)) {
+      errors.push("cutoffTime: must be after amTime and pmTime");
+    }
+
+    if (errors.length) return res.status(400).json({ error: "invalid", details: errors });
+
+    Object.assign(user, changes);
+    if (body.goals !== undefined) setHabitsFromText(user, String(body.goals));
+    saveUser(user);
+
+    const changed = [...Object.keys(changes), ...(body.goals !== undefined ? ["habits"] : [])];
+    logger.info({ event: "admin_user_update", user_key: user.userKey, changed });
+    res.json(userProfile(user));
+  });
+
+  router.post("/users/:key/reset-onboarding", (req, res) => {
+    const user = req.user;
+    user.onboardingStep = "name";
+    user.onboarded = false;
+    user.pending = null;
+    saveUser(user);
+
+    logger.info({ event: "admin_onboarding_reset", user_key: user.userKey });
+    res.json(userSummary(user));
+  });
+
+  router.post("/users/:key/recalc", (req, res) => {
+    res.json(jobs.recalc(req.user));
+  });
+
+  router.post("/users/:key/jobs/:job", (req, res) => {
+    const user = req.user;
+    const job = req.params.job;
+
+    if (!JOB_NAMES.includes(job)) {
+      return res.status(400).json({ error: "unknown_job", job, allowed: JOB_NAMES });
+    }
+    if (!user.onboarded) return res.status(409).json({ error: "not_onboarded" });
+
+    jobs[job](user);
+    logger.info({ event: "admin_job_trigger", user_key: user.userKey, job });
+    res.json({ ok: true, job, userKey: user.userKey });
+  });
+
+  router.get("/runtime", (req, res) => {
+    // Broadcast delivery records and the outbox have their own endpoints;
+    // export and chart tokens are download credentials, squads hold join codes
+    const { broadcasts, outbox: box, whatsappSeen, exportTokens, chartTokens, squads, ...rest } = runtime;
+    res.json(rest);
+  });
+
+  router.get("/broadcasts", (req, res) => {
+    res.json({ broadcasts: broadcaster.list() });
+  });
+
+  router.post("/broadcasts", (req, res) => {
+    const result = broadcaster.create(req.body || {});
+    if (result.errors) return res.status(400).json({ error: "invalid", details: result.errors });
+    if (result.dryRun) return res.json(result);
+    res.status(201).json(result.broadcast);
+  });
+
+  router.get("/broadcasts/:id", (req, res) => {
+    const b = broadcaster.get(req.params.id);
+    if (!b) return res.status(404).json({ error: "broadcast_not_found" });
+    res.json(b);
+  });
+
+  router.delete("/broadcasts/:id", (req, res) => {
+    const b = broadcaster.cancel(req.params.id);
+    if (!b) return res.status(409).json({ error: "not_cancellable" });
+    res.json(b);
+  });
+
+  router.get("/outbox", (req, res) => {
+    const { queue, dead, gate } = outbox.snapshot();
+    res.json({ queued: queue.length, deadCount: dead.length, gate, queue, dead });
+  });
+
+  router.post("/outbox/dead/:id/retry", (req, res) => {
+    const job = outbox.retryDead(req.params.id);
+    if (!job) return res.status(404).json({ error: "dead_letter_not_found" });
+    res.json(job);
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,1158 @@
+// app.js
+// The MindArsenal bot, built from its dependencies: storage, clock, Telegram, Twilio and
+// OpenAI clients all come in through createBot(), nothing is started on require.
+// bot.js wires the real ones from the environment; the tests wire fakes.
+
+const crypto = require("crypto");
+const cron = require("node-cron");
+const express = require("express");
+const bodyParser = require("body-parser");
+const twilio = require("twilio");
+
+const { zonedParts, todayDate } = require("./time");
+const { createEngine } = require("./engine");
+const { createCoach } = require("./coach");
+const { createPersonas } = require("./personas");
+const { createAdminRouter } = require("./admin");
+const { createBroadcaster } = require("./broadcast");
+const { createLinker, preferredChannels } = require("./linking");
+const { createOutbox } = require("./outbox");
+const { createWhatsAppGuard } = require("./whatsapp");
+const { createExporter } = require("./export");
+const { createCharts, renderChart } = require("./charts");
+const { createMedia } = require("./media");
+const { createMetrics } = require("./metrics");
+const {
+  snoozeButtons,
+  habitButtons,
+  carryButtons,
+  telegramMarkup,
+  numberedText,
+  numberedAction,
+} = require("./buttons");
+const { updateDailyStats, closeOutDays, recalcStats } = require("./stats");
+const { buildReport, dueReports } = require("./reports");
+const { checkFollowUps, cutoffFor } = require("./followups");
+const { createSquads } = require("./squads");
+const { habitChecklist, habitsOf } = require("./habits");
+const { objectivesOf, formatObjectives, carryOvers } = require("./objectives");
+
+const TELEGRAM_WEBHOOK_PATH = "/webhooks/telegram";
+
+// A minute cron whose last tick is older than this has stopped
+const TICK_STALE_MS = 6 * 60 * 1000;
+
+// ---------- Reusable Text Snippets ----------
+const STARTUP_PING =
+  "MindArsenal core updated.\n\n" +
+  "Onboarding, AM/PM check-ins, data logging and Master Asmo protocol are now active.";
+
+// deps:
+//   storage         see storage/ (users + runtime persistence)
+//   telegram        node-telegram-bot-api instance created with polling off, or null
+//   twilioClient    twilio REST client, or null
+//   openai          OpenAI client, or null
+//   logger
+//   now()           clock; every date, schedule and log key reads it
+//                   (the outbox paces sends on real time regardless)
+//   config          {
+//     telegramMode: "polling" | "webhook", telegramWebhookSecret, publicUrl,
+//     twilioFrom, twilioAccountSid, twilioAuthToken, twilioSkipSignature,
+//     openaiModel, adminToken, adminTelegramIds: [], startupPing, cron (false = no schedules),
+//     personasDir (default: personas/ or PERSONAS_DIR)
+//   }
+function createBot({
+  storage,
+  telegram = null,
+  twilioClient = null,
+  openai = null,
+  logger,
+  now = () => new Date(),
+  config = {},
+}) {
+  const bot = telegram;
+  const personas = createPersonas({ dir: config.personasDir, logger });
+  const {
+    telegramMode = "polling",
+    telegramWebhookSecret = "",
+    publicUrl = "",
+    twilioFrom = "",
+    twilioAccountSid = "",
+    twilioAuthToken = "",
+    twilioSkipSignature = false,
+    openaiModel = "gpt-4o-mini",
+    adminToken = "",
+    adminTelegramIds = [],
+  } = config;
+
+  // Polling: drop a webhook left over from webhook mode (getUpdates fails while one is set).
+  // Webhook: point Telegram at this instance; updates arrive on TELEGRAM_WEBHOOK_PATH.
+  async function startTelegram() {
+    if (telegramMode === "webhook") {
+      const url = publicUrl + TELEGRAM_WEBHOOK_PATH;
+      await bot.setWebHook(url, { secret_token: telegramWebhookSecret });
+      logger.info({ event: "telegram_webhook_set", url });
+      return;
+    }
+
+    try {
+      await bot.deleteWebHook();
+    } catch (err) {
+      // Polling retries on its own; a leftover webhook will show up as polling_error
+      logger.warn({ event: "telegram_webhook_delete_fail", err: err?.message || String(err) });
+    }
+    await bot.startPolling();
+    logger.info({ event: "telegram_polling_start" });
+  }
+
+  // ---------- Storage ----------
+  function defaultRuntime() {
+    return {
+      started_at: now().toISOString(),
+      jobs: {},
+      counters: { send_ok: 0, send_err: 0 },
+    };
+  }
+
+  const runtime = { ...defaultRuntime(), ...storage.loadRuntime() };
+
+  // Runtime changes on every send and every cron tick; coalesce the writes.
+  let runtimeSaveTimer = null;
+
+  function flushRuntime() {
+    clearTimeout(runtimeSaveTimer);
+    runtimeSaveTimer = null;
+    try {
+      storage.saveRuntime(runtime);
+    } catch (err) {
+      logger.error({ event: "runtime_save_error", err: err?.message || String(err) });
+    }
+  }
+
+  function scheduleRuntimeSave() {
+    if (runtimeSaveTimer) return;
+    runtimeSaveTimer = setTimeout(flushRuntime, 2000);
+    runtimeSaveTimer.unref();
+  }
+
+  function markJob(jobName, status, extra = {}) {
+    runtime.jobs[jobName] = {
+      ...runtime.jobs[jobName],
+      last_status: status,
+      last_at: now().toISOString(),
+      ...extra,
+    };
+    scheduleRuntimeSave();
+  }
+
+  function saveUser(user) {
+    storage.saveUser(user);
+  }
+
+  const users = storage.loadUsers();
+
+  // ---------- Metrics ----------
+  const metrics = createMetrics({ runtime, users, now });
+  // Every OpenAI call goes through the timed client
+  const ai = metrics.instrumentOpenAI(openai);
+
+  // ---------- Utils ----------
+  function normalizeWhatsAppFrom(from) {
+    // "whatsapp:+4179..." -> "+4179..."
+    if (!from) return "";
+    return String(from).replace("whatsapp:", "").trim();
+  }
+
+  // ---------- User Model (supports Telegram + WhatsApp) ----------
+  function ensureUserByKey(userKey, defaults = {}) {
+    if (!users[userKey]) {
+      users[userKey] = {
+        userKey,
+
+        // channels
+        telegramChatId: defaults.telegramChatId || null,
+        whatsappFrom: defaults.whatsappFrom || null,
+
+        firstName: defaults.firstName || "",
+        name: "",
+        timezone: "",
+        amTime: "07:00",
+        pmTime: "21:00",
+        cutoffTime: null, // falls back to DAY_CUTOFF_TIME
+        goalsText: "",
+        habitsText: "",
+        habits: [],
+        habitStats: {},
+        pending: null,
+        onboardingStep: null,
+        onboarded: false,
+        logs: {},
+        stats: {
+          totalDays: 0,
+          daysWithBoth: 0,
+          streakCurrent: 0,
+          streakBest: 0,
+        },
+        weeklyStats: {},
+      };
+
+      logger.info({ event: "user_new", user_key: userKey });
+      saveUser(users[userKey]);
+    }
+
+    // keep channel ids updated if provided
+    let changed = false;
+    if (defaults.telegramChatId && !users[userKey].telegramChatId) {
+      users[userKey].telegramChatId = defaults.telegramChatId;
+      changed = true;
+    }
+    if (defaults.whatsappFrom && !users[userKey].whatsappFrom) {
+      users[userKey].whatsappFrom = defaults.whatsappFrom;
+      changed = true;
+    }
+
+    if (changed) saveUser(users[userKey]);
+    return users[userKey];
+  }
+
+  // A linked account answers for both channel ids, whatever its key says.
+  function findLinkedUser(field, id) {
+    if (!id) return null;
+    return Object.values(users).find((u) => u[field] === id) || null;
+  }
+
+  function telegramUser(msg) {
+    const chatId = String(msg.chat.id);
+    return (
+      findLinkedUser("telegramChatId", chatId) ||
+      ensureUserByKey(`tg:${chatId}`, { telegramChatId: chatId, firstName: msg.chat.first_name || "" })
+    );
+  }
+
+  function removeUser(userKey) {
+    delete users[userKey];
+    storage.deleteUser(userKey);
+    logger.info({ event: "user_delete", user_key: userKey });
+  }
+
+  // ---------- Sending (Telegram + WhatsApp) ----------
+  // safeSend* make a single attempt; everything goes through the outbox below,
+  // which owns retries, rate limits and dead-lettering.
+  async function safeSendTelegram(chatId, text, extra = null) {
+    if (!bot) {
+      logger.warn({ event: "send_skip", channel: "telegram", reason: "telegram_disabled" });
+      throw Object.assign(new Error("Telegram disabled"), { permanent: true });
+    }
+
+    try {
+      const res = await bot.sendMessage(chatId, text, extra || {});
+
+      runtime.counters.send_ok++;
+      metrics.countSend("telegram", true);
+      scheduleRuntimeSave();
+
+      logger.info({
+        event: "msg_out",
+        channel: "telegram",
+        chat_id: String(chatId),
+        message_id: res?.message_id,
+        text_len: (text || "").length,
+      });
+
+      return res;
+    } catch (err) {
+      runtime.counters.send_err++;
+      metrics.countSend("telegram", false);
+      scheduleRuntimeSave();
+
+      logger.error({
+        event: "send_error",
+        channel: "telegram",
+        chat_id: String(chatId),
+        err: err?.message || String(err),
+      });
+
+      throw err;
+    }
+  }
+
+  // extra: { mediaUrl: [url] } attaches media Twilio fetches itself
+  async function safeSendWhatsApp(whatsappTo, text, extra = null) {
+    if (!twilioClient) {
+      logger.warn({ event: "twilio_missing", msg: "Twilio env vars missing." });
+      throw Object.assign(new Error("Twilio missing"), { permanent: true });
+    }
+
+    try {
+      const toFormatted = `whatsapp:${whatsappTo.startsWith("+") ? whatsappTo : "+" + whatsappTo}`;
+      const res = await twilioClient.messages.create({
+        from: twilioFrom,
+        to: toFormatted,
+        body: text,
+        ...(extra?.mediaUrl ? { mediaUrl: extra.mediaUrl } : {}),
+      });
+
+      runtime.counters.send_ok++;
+      metrics.countSend("whatsapp", true);
+      scheduleRuntimeSave();
+
+      logger.info({
+        event: "msg_out",
+        channel: "whatsapp",
+        to: whatsappTo,
+        sid: res?.sid,
+        text_len: (text || "").length,
+      });
+
+      return res;
+    } catch (err) {
+      runtime.counters.send_err++;
+      metrics.countSend("whatsapp", false);
+      scheduleRuntimeSave();
+
+      logger.error({
+        event: "send_error",
+        channel: "whatsapp",
+        to: whatsappTo,
+        err: err?.message || String(err),
+      });
+
+      throw err;
+    }
+  }
+
+  // ---------- Outbox ----------
+  const PROMPT_KINDS = { am_prompt: "am", pm_prompt: "pm" };
+
+  // Prompt flags follow confirmed delivery, not the attempt.
+  function onPromptDelivered(job) {
+    const kind = PROMPT_KINDS[job.meta?.kind];
+    const user = users[job.userKey];
+    if (!kind || !user) return;
+
+    const day = user.logs[job.meta.date] || (user.logs[job.meta.date] = {});
+    if (day[`${kind}PromptSent`]) return; // the other channel got there first
+
+    day[`${kind}PromptSent`] = true;
+    day[`${kind}PromptAt`] = now().toISOString();
+    // A prompt that only got through after the day rolled over opens nothing
+    if (!day[kind] && job.meta.date === todayDate(user.timezone, now())) user.pending = kind;
+    saveUser(user);
+
+    logger.info({ event: "prompt_delivered", kind, user_key: user.userKey, date: job.meta.date, channel: job.channel });
+  }
+
+  function onPromptDead(job) {
+    const kind = PROMPT_KINDS[job.meta?.kind];
+    const user = users[job.userKey];
+    if (!kind || !user) return;
+
+    const day = user.logs[job.meta.date];
+    if (!day || day[`${kind}PromptSent`]) return;
+
+    day[`${kind}PromptFailed`] = job.lastError;
+    saveUser(user);
+  }
+
+  const outbox = createOutbox({
+    runtime,
+    transports: { telegram: safeSendTelegram, whatsapp: safeSendWhatsApp },
+    persist: scheduleRuntimeSave,
+    onDelivered: onPromptDelivered,
+    onDead: onPromptDead,
+    logger,
+  });
+
+  function sendTelegram(chatId, text, extra = null) {
+    return outbox.send({ channel: "telegram", to: chatId, text, extra });
+  }
+
+  // Send to user's available channel(s).
+  // Scheduled prompts go to the preferred channel, or BOTH if none is set.
+  // `message` is a string or { text, buttons } (buttons become numbered options on WhatsApp).
+  // `channels` overrides that (broadcasts); `meta` tags the jobs for the delivery hooks.
+  // Resolves once every channel is delivered or dead: [{ channel, ok, error }].
+  async function sendToUser(user, message, channels = preferredChannels(user), meta = null) {
+    const { text, buttons } = typeof message === "string" ? { text: message } : message;
+    const targets = [];
+
+    if (bot && user.telegramChatId && channels.includes("telegram")) {
+      targets.push({ channel: "telegram", to: user.telegramChatId, text, extra: telegramMarkup(buttons) });
+    }
+    if (user.whatsappFrom && channels.includes("whatsapp")) {
+      targets.push({ channel: "whatsapp", to: user.whatsappFrom, text: numberedText(user, text, buttons, now()) });
+    }
+
+    if (targets.length === 0) {
+      logger.warn({ event: "send_skip", user_key: user.userKey, reason: "no_channels" });
+      return [];
+    }
+
+    const outcomes = await Promise.all(
+      targets.map((t) => outbox.send({ ...t, userKey: user.userKey, meta }))
+    );
+    return outcomes.map((o, i) => ({ channel: targets[i].channel, ok: o.ok, error: o.error }));
+  }
+
+  // ---------- Broadcasts ----------
+  const broadcaster = createBroadcaster({
+    users,
+    runtime,
+    send: sendToUser,
+    dropQueued: (id) => outbox.drop((job) => job.meta?.broadcastId === id, "broadcast cancelled"),
+    onChange: scheduleRuntimeSave,
+    logger,
+    now,
+  });
+
+  // ---------- War Reports (weekly / monthly / quarterly, see reports.js) ----------
+  function report(user, period = "week") {
+    const today = todayDate(user.timezone, now());
+    return buildReport(user, period, today, { signOff: (key) => personas.text(user, key) });
+  }
+
+  // ---------- Jobs (shared by cron, /test_* and the admin API) ----------
+  // AM prompt, offering yesterday's unfinished objectives as carry-overs
+  function amPrompt(user, d) {
+    const text = personas.text(user, "am_prompt");
+    const carried = carryOvers(user, d);
+    if (!carried.length) return { text, buttons: snoozeButtons("am") };
+
+    return {
+      text:
+        `${text}\n\nUnfinished yesterday:\n${formatObjectives(carried, { results: true })}\n\n` +
+        'Carry them over (button or "carry"), or send new objectives.',
+      buttons: [...carryButtons(), ...snoozeButtons("am")],
+    };
+  }
+
+  // PM prompt plus the morning's objectives, the user's habit checklist and result buttons
+  function pmPrompt(user, d) {
+    const objectives = objectivesOf(user.logs[d]);
+    const parts = [personas.text(user, "pm_prompt")];
+    if (objectives.length) {
+      parts.push(`This morning's objectives:\n${formatObjectives(objectives)}\n\nResults per objective come last.`);
+    }
+    const checklist = habitChecklist(user);
+    if (checklist) parts.push(checklist);
+
+    return {
+      text: parts.join("\n\n"),
+      buttons: [...habitButtons(habitsOf(user)), ...snoozeButtons("pm")],
+    };
+  }
+
+  function firePrompt(user, kind, { job, at = now() }) {
+    const d = todayDate(user.timezone, at);
+    if (!user.logs[d]) user.logs[d] = {};
+    const day = user.logs[d];
+
+    // Sent/pending flags are set by onPromptDelivered
+    day[`${kind}PromptQueued`] = at.toISOString();
+    const prompt = kind === "am" ? amPrompt(user, d) : pmPrompt(user, d);
+    sendToUser(user, prompt, undefined, { kind: `${kind}_prompt`, date: d });
+
+    logger.info({ event: "job_fire", job, user_key: user.userKey, date: d });
+  }
+
+  // The chart follows the text: a PNG on Telegram, a media URL on WhatsApp (needs PUBLIC_URL).
+  async function sendWeeklyChart(user, channels = preferredChannels(user)) {
+    const d = todayDate(user.timezone, now());
+
+    if (bot && user.telegramChatId && channels.includes("telegram")) {
+      await sendTelegramFile(user.telegramChatId, {
+        filename: "war-report.png",
+        contentType: "image/png",
+        content: renderChart(user, d),
+      });
+    }
+
+    if (user.whatsappFrom && channels.includes("whatsapp")) {
+      const url = charts.issueLink(user, d);
+      if (!url) {
+        logger.warn({ event: "chart_skip", channel: "whatsapp", user_key: user.userKey, reason: "no_public_url" });
+        return;
+      }
+      await outbox.send({
+        channel: "whatsapp",
+        to: user.whatsappFrom,
+        text: "Progress chart.",
+        extra: { mediaUrl: [url] },
+        userKey: user.userKey,
+      });
+    }
+  }
+
+  // The weekly report brings the progress chart and the squad leaderboard along
+  function fireReport(user, period, { job }) {
+    const { text, summary } = report(user, period);
+    const sent = sendToUser(user, text);
+
+    if (period === "week") {
+      sent
+        .then(() => sendWeeklyChart(user))
+        .catch((err) => {
+          logger.error({ event: "chart_error", user_key: user.userKey, err: err?.message || String(err) });
+        });
+
+      const squad = squads.squadOf(user);
+      if (squad) sent.then(() => sendToUser(user, squads.leaderboard(squad)));
+    }
+
+    logger.info({
+      event: job === "report" ? "report_sent" : "job_fire",
+      job,
+      period,
+      user_key: user.userKey,
+      rate: summary.rate,
+      full: summary.full,
+      total: summary.total,
+    });
+  }
+
+  function recalcUser(user) {
+    const result = recalcStats(user, todayDate(user.timezone, now()));
+    saveUser(user);
+
+    logger.info({ event: "stats_recalc", user_key: user.userKey, ...result });
+    return result;
+  }
+
+  // ---------- AI Coach ----------
+  const coach = createCoach({ openai: ai, model: openaiModel, personas, logger, now });
+
+  // ---------- Voice notes + proof attachments ----------
+  const media = createMedia({
+    openai: ai,
+    telegram: bot,
+    twilioAuth: { accountSid: twilioAccountSid, authToken: twilioAuthToken },
+    logger,
+    now,
+  });
+
+  // ---------- Progress charts ----------
+  const charts = createCharts({
+    users,
+    runtime,
+    publicUrl,
+    onChange: scheduleRuntimeSave,
+    logger,
+    now,
+  });
+
+  // ---------- Squads ----------
+  const squads = createSquads({
+    users,
+    runtime,
+    notify: (user, text) => sendToUser(user, text),
+    onChange: scheduleRuntimeSave,
+    logger,
+    now,
+  });
+
+  // ---------- Account linking ----------
+  const linker = createLinker({
+    users,
+    runtime,
+    saveUser,
+    removeUser,
+    onMerge: (primary, other) => squads.transfer(other.userKey, primary.userKey),
+    onChange: scheduleRuntimeSave,
+    logger,
+    now,
+  });
+
+  // ---------- Data export + account deletion ----------
+  const exporter = createExporter({
+    users,
+    runtime,
+    publicUrl,
+    onChange: scheduleRuntimeSave,
+    logger,
+    now,
+  });
+
+  // Everything tied to the user goes: record, queued messages, links, pending codes.
+  // Without the record the cron has nothing left to prompt.
+  function deleteAccount(user) {
+    removeUser(user.userKey);
+    const dropped = outbox.forget(user.userKey);
+    exporter.revoke(user.userKey);
+    charts.revoke(user.userKey);
+    squads.remove(user.userKey);
+    Object.entries(runtime.linkCodes || {}).forEach(([code, entry]) => {
+      if (entry.userKey === user.userKey) delete runtime.linkCodes[code];
+    });
+    scheduleRuntimeSave();
+
+    logger.info({ event: "account_delete", user_key: user.userKey, dropped_messages: dropped });
+  }
+
+  // ---------- Conversation engine (shared by Telegram + WhatsApp) ----------
+  const engine = createEngine({
+    save: saveUser,
+    coachReply: coach.reply,
+    analyzeDebrief: coach.analyzeDebrief,
+    extractObjectives: coach.extractObjectives,
+    linker,
+    exporter,
+    squads,
+    deleteAccount,
+    personas,
+    logger,
+    now,
+  });
+
+  // Files skip the outbox on purpose: queued jobs are persisted, and a trainee's
+  // export has no business sitting in runtime storage. One attempt; /export again on failure.
+  // Images go out as photos, everything else as documents.
+  async function sendTelegramFile(chatId, file) {
+    const method = file.contentType.startsWith("image/") ? "sendPhoto" : "sendDocument";
+    try {
+      await bot[method](
+        chatId,
+        Buffer.from(file.content),
+        {},
+        { filename: file.filename, contentType: file.contentType }
+      );
+      runtime.counters.send_ok++;
+      metrics.countSend("telegram", true);
+    } catch (err) {
+      runtime.counters.send_err++;
+      metrics.countSend("telegram", false);
+      logger.error({
+        event: "send_error",
+        channel: "telegram",
+        chat_id: String(chatId),
+        err: err?.message || String(err),
+      });
+    }
+    scheduleRuntimeSave();
+  }
+
+  // Queue engine output for a Telegram chat, in order.
+  function replyTelegram(chatId, messages) {
+    messages.forEach((m) => {
+      sendTelegram(chatId, m.text, telegramMarkup(m.buttons));
+      (m.files || []).forEach((f) => sendTelegramFile(chatId, f));
+    });
+  }
+
+  // ---------- TELEGRAM (ONLY if bot exists) ----------
+  if (bot) {
+    // /gpt test
+    bot.onText(/\/gpt/, async (msg) => {
+      if (!ai) return sendTelegram(msg.chat.id, "OpenAI missing.");
+
+      try {
+        const res = await ai.chat.completions.create({
+          model: openaiModel,
+          messages: [
+            { role: "system", content: "Short. Ruthless." },
+            { role: "user", content: "Say System online." },
+          ],
+        });
+
+        sendTelegram(msg.chat.id, res.choices[0].message.content.trim());
+      } catch (err) {
+        logger.error({
+          event: "openai_error",
+          user_key: `tg:${String(msg.chat.id)}`,
+          err: err?.message || String(err),
+        });
+        sendTelegram(msg.chat.id, "OpenAI failed.");
+      }
+    });
+
+    // /status
+    bot.onText(/\/status/, (msg) => {
+      const user = telegramUser(msg);
+
+      const d = todayDate(user.timezone, now());
+      const day = user.logs[d] || {};
+      const s = user.stats;
+
+      const txt =
+        `Status for ${d}:\n` +
+        `AM: ${day.am ? "DONE" : "MISSING"}\n` +
+        `PM: ${day.pm ? "DONE" : "MISSING"}\n\n` +
+        `All-time:\n` +
+        `• Full days: ${s.daysWithBoth}/${s.totalDays}\n` +
+        `• Streak: ${s.streakCurrent}\n` +
+        `• Best: ${s.streakBest}`;
+
+      sendTelegram(user.telegramChatId, txt);
+    });
+
+    // /test_am
+    bot.onText(/\/test_am/, (msg) => {
+      const user = telegramUser(msg);
+
+      if (!user.onboarded) return sendTelegram(user.telegramChatId, "Complete onboarding first.");
+
+      firePrompt(user, "am", { job: "am_prompt_manual" });
+      saveUser(user);
+    });
+
+    // /test_pm
+    bot.onText(/\/test_pm/, (msg) => {
+      const user = telegramUser(msg);
+
+      if (!user.onboarded) return sendTelegram(user.telegramChatId, "Complete onboarding first.");
+
+      firePrompt(user, "pm", { job: "pm_prompt_manual" });
+      saveUser(user);
+    });
+
+    // /test_weekly
+    bot.onText(/\/test_weekly/, (msg) => {
+      const user = telegramUser(msg);
+
+      if (!user.onboarded) return sendTelegram(user.telegramChatId, "No data yet.");
+
+      fireReport(user, "week", { job: "weekly_manual" });
+    });
+
+    // /recalc [userKey] (admin) -> rebuild stats from full log history
+    bot.onText(/\/recalc(?:\s+(\S+))?/, (msg, match) => {
+      const chatId = String(msg.chat.id);
+      if (!adminTelegramIds.includes(chatId)) return;
+
+      const targets = match[1] ? [users[match[1]]].filter(Boolean) : Object.values(users);
+      if (targets.length === 0) return sendTelegram(chatId, `Unknown user: ${match[1]}`);
+
+      const lines = [];
+      targets.forEach((user) => {
+        const { before, after } = recalcUser(user);
+        if (before.streakCurrent !== after.streakCurrent || before.totalDays !== after.totalDays) {
+          lines.push(
+            `${user.userKey}: streak ${before.streakCurrent}->${after.streakCurrent}, ` +
+              `full ${before.daysWithBoth}/${before.totalDays}->${after.daysWithBoth}/${after.totalDays}`
+          );
+        }
+      });
+
+      sendTelegram(
+        chatId,
+        `Stats rebuilt for ${targets.length} user(s).\n` +
+          (lines.length ? `Changed:\n${lines.join("\n")}` : "No changes.")
+      );
+    });
+
+    // Same reply as the WhatsApp webhook when a message or button press blows up
+    function telegramFault(msg, e) {
+      logger.error({ event: "telegram_handler_error", chat_id: String(msg.chat.id), err: e?.message || String(e) });
+      sendTelegram(String(msg.chat.id), "System fault. Retry. Stay sharp.");
+    }
+
+    // Telegram message router -> conversation engine
+    bot.on("message", async (msg) => {
+      metrics.countInbound("telegram");
+      try {
+        const user = telegramUser(msg);
+        const attached = msg.text ? null : await media.fromTelegram(msg, user.userKey);
+        const text = attached ? attached.text : msg.text || "";
+
+        logger.info({
+          event: "msg_in",
+          channel: "telegram",
+          user_id: String(msg?.from?.id || ""),
+          chat_id: String(msg?.chat?.id || ""),
+          has_text: !!msg.text,
+          media: attached?.media.evidence,
+          text_len: (text || "").length,
+        });
+
+        const replies = await engine.handle(user, text, { channel: "telegram", media: attached?.media });
+        replyTelegram(user.telegramChatId, replies);
+      } catch (e) {
+        telegramFault(msg, e);
+      }
+    });
+
+    // Inline keyboard presses: callback_data is an engine action (see buttons.js)
+    bot.on("callback_query", async (query) => {
+      const msg = query.message;
+      if (!msg) return bot.answerCallbackQuery(query.id).catch(() => {});
+      metrics.countInbound("telegram");
+
+      logger.info({
+        event: "callback_in",
+        channel: "telegram",
+        chat_id: String(msg.chat.id),
+        action: query.data,
+      });
+
+      try {
+        const user = telegramUser(msg);
+        const replies = await engine.handle(user, "", { channel: "telegram", action: query.data || "" });
+        replyTelegram(user.telegramChatId, replies);
+      } catch (e) {
+        telegramFault(msg, e);
+      } finally {
+        // Stops the button spinner; failure here only costs the animation
+        bot.answerCallbackQuery(query.id).catch(() => {});
+      }
+    });
+
+    bot.on("polling_error", (err) => {
+      metrics.countPollingError();
+      logger.error({ event: "polling_error", err: err?.message || String(err) });
+    });
+  }
+
+  // ---------- WhatsApp Webhook Server ----------
+  const app = express();
+
+  // Twilio posts application/x-www-form-urlencoded by default
+  app.use(bodyParser.urlencoded({ extended: false }));
+
+  // Health check (useful on Render)
+  app.get("/health", (req, res) => res.status(200).send("OK"));
+
+  // Readiness: 503 while the minute cron is stale or storage cannot be written
+  app.get("/health/ready", (req, res) => {
+    const { ready, checks } = readiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", checks });
+  });
+
+  // Prometheus scrape target; see metrics.js
+  app.get("/metrics", (req, res) => res.type("text/plain; version=0.0.4").send(metrics.render()));
+
+  // Admin API (only when a token is configured)
+  if (adminToken) {
+    app.use(
+      "/admin",
+      createAdminRouter({
+        token: adminToken,
+        users,
+        runtime,
+        saveUser,
+        broadcaster,
+        outbox,
+        logger,
+        jobs: {
+          am: (user) => {
+            firePrompt(user, "am", { job: "am_prompt_admin" });
+            saveUser(user);
+          },
+          pm: (user) => {
+            firePrompt(user, "pm", { job: "pm_prompt_admin" });
+            saveUser(user);
+          },
+          weekly: (user) => fireReport(user, "week", { job: "weekly_admin" }),
+          monthly: (user) => fireReport(user, "month", { job: "monthly_admin" }),
+          quarterly: (user) => fireReport(user, "quarter", { job: "quarterly_admin" }),
+          recalc: recalcUser,
+        },
+      })
+    );
+  }
+
+  // Export downloads for WhatsApp users (token-protected, expiring)
+  app.use("/exports", exporter.router);
+
+  // Weekly chart images, fetched by Twilio as WhatsApp media (token-protected, expiring)
+  app.use("/charts", charts.router);
+
+  // Telegram webhook (TELEGRAM_MODE=webhook)
+  if (bot && telegramMode === "webhook") {
+    app.post(TELEGRAM_WEBHOOK_PATH, bodyParser.json(), (req, res) => {
+      const given = Buffer.from(req.get("x-telegram-bot-api-secret-token") || "");
+      const expected = Buffer.from(telegramWebhookSecret);
+
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        logger.warn({ event: "telegram_webhook_reject", reason: "secret_invalid", ip: req.ip });
+        return res.sendStatus(403);
+      }
+
+      // Answer right away; handlers reply through the outbox
+      res.sendStatus(200);
+      try {
+        bot.processUpdate(req.body);
+      } catch (err) {
+        logger.error({ event: "telegram_update_error", err: err?.message || String(err) });
+      }
+    });
+  }
+
+  // Twilio inbound webhook
+  const whatsappGuard = createWhatsAppGuard({
+    authToken: twilioAuthToken,
+    publicUrl,
+    skipSignature: twilioSkipSignature,
+    runtime,
+    onChange: scheduleRuntimeSave,
+    logger,
+  });
+
+  app.post("/webhooks/whatsapp", whatsappGuard.verifySignature, async (req, res) => {
+    try {
+      const fromRaw = req.body.From || ""; // "whatsapp:+41..."
+      const body = (req.body.Body || "").trim();
+
+      const fromPhone = normalizeWhatsAppFrom(fromRaw);
+      const userKey = `wa:${fromPhone}`;
+
+      // Twilio retry of a message we already handled: acknowledge, do nothing
+      if (!whatsappGuard.firstDelivery(req.body.MessageSid)) {
+        logger.warn({
+          event: "whatsapp_webhook_reject",
+          reason: "duplicate",
+          message_sid: req.body.MessageSid,
+          from: fromPhone,
+        });
+        return res.type("text/xml").send(new twilio.twiml.MessagingResponse().toString());
+      }
+
+      metrics.countInbound("whatsapp");
+      const user = findLinkedUser("whatsappFrom", fromPhone) || ensureUserByKey(userKey, { whatsappFrom: fromPhone });
+      const attached = await media.fromWhatsApp(req.body, user.userKey);
+      const text = attached ? attached.text : body;
+
+      logger.info({
+        event: "msg_in",
+        channel: "whatsapp",
+        from: fromPhone,
+        media: attached?.media.evidence,
+        text_len: (text || "").length,
+      });
+
+      // A bare number answers the numbered options we last showed
+      const action = attached ? null : numberedAction(user, body, now());
+      const replies = await engine.handle(user, text, { channel: "whatsapp", action, media: attached?.media });
+
+      // All replies ride on the webhook response (avoid double-sends)
+      const twiml = new twilio.twiml.MessagingResponse();
+      if (replies.length === 0) twiml.message("Stand by. Retry.");
+      replies.forEach((m) => twiml.message(numberedText(user, m.text, m.buttons, now())));
+      if (replies.some((m) => m.buttons?.length)) saveUser(user);
+      res.type("text/xml").send(twiml.toString());
+    } catch (e) {
+      logger.error({ event: "whatsapp_webhook_error", err: e?.message || String(e) });
+      const twiml = new twilio.twiml.MessagingResponse();
+      twiml.message("System fault. Retry. Stay sharp.");
+      res.type("text/xml").send(twiml.toString());
+    }
+  });
+
+  // ---------- Scheduled work (cron calls these; tests call them directly) ----------
+  // One pass of the minute cron: close-outs, AM/PM prompts, follow-ups, due broadcasts.
+  function tick(at = now()) {
+    markJob("cron_tick_am_pm", "ok", { current: at.toISOString().slice(11, 16) });
+    broadcaster.runDue();
+
+    Object.values(users).forEach((user) => {
+      if (!user.onboarded) return;
+
+      let changed = false;
+
+      // Compare against the user's wall clock, not the server's
+      const { date: d, time: current } = zonedParts(at, user.timezone);
+      if (!user.logs[d]) user.logs[d] = {};
+
+      const day = user.logs[d];
+
+      // End-of-day close-out: finalize past days whether or not the user replied
+      const closed = closeOutDays(user, d);
+      if (closed.length) {
+        if (user.pending === "am" || user.pending === "pm") user.pending = null;
+        logger.info({ event: "day_close", user_key: user.userKey, dates: closed, stats: user.stats });
+        changed = true;
+      }
+
+      // A debrief still waiting on habit or objective results from a past day is finished now
+      if ((user.pending === "pm_habits" || user.pending === "pm_objectives") && user.pendingDate < d) {
+        engine
+          .closeDebrief(user)
+          .then((replies) => replies.forEach((m) => sendToUser(user, m)))
+          .catch((err) => {
+            logger.error({ event: "debrief_close_error", user_key: user.userKey, err: err?.message || String(err) });
+          });
+        changed = true;
+      }
+
+      // /pause: nothing goes out and the day is skipped by the stats. A day whose prompt had
+      // already gone out is still owed: the pause starts the day after (pausedFrom).
+      if (user.pausedUntil && !(user.pausedFrom > d)) {
+        if (d < user.pausedUntil) {
+          if (!day.paused) {
+            day.paused = true;
+            changed = true;
+          }
+          if (changed) saveUser(user);
+          return;
+        }
+
+        user.pausedUntil = null;
+        user.pausedFrom = null;
+        logger.info({ event: "prompts_resume", user_key: user.userKey, early: false });
+        changed = true;
+      }
+
+      if (current === user.amTime && !day.amPromptSent && !day.amPromptQueued) {
+        firePrompt(user, "am", { job: "am_prompt", at });
+        changed = true;
+      }
+
+      if (current === user.pmTime && !day.pmPromptSent && !day.pmPromptQueued) {
+        firePrompt(user, "pm", { job: "pm_prompt", at });
+        changed = true;
+      }
+
+      // Unanswered prompts: nudges, then the cutoff
+      const say = (key, vars) => personas.text(user, key, vars);
+      const followUps = checkFollowUps(user, day, { now: at, time: current, say });
+      followUps.forEach((text) => sendToUser(user, text));
+      if (followUps.length) {
+        if (day.failed) updateDailyStats(user, d);
+        logger.info({
+          event: day.failed ? "day_failed" : "followup_sent",
+          user_key: user.userKey,
+          date: d,
+          at: current,
+        });
+        changed = true;
+      }
+
+      // Squad roll-call goes out with the day's cutoff, in each member's own time
+      const squad = squads.squadOf(user);
+      if (squad && current >= cutoffFor(user) && !day.squadRollCallSent) {
+        sendToUser(user, squads.rollCall(squad));
+        day.squadRollCallSent = true;
+        logger.info({ event: "squad_roll_call", user_key: user.userKey, squad_id: squad.id, date: d });
+        changed = true;
+      }
+
+      // War Reports at the user's report day and time
+      dueReports(user, d, current)
+        .filter((period) => !(day.reportsSent || []).includes(period))
+        .forEach((period) => {
+          day.reportsSent = [...(day.reportsSent || []), period];
+          if (period === "week") markJob("weekly_report", "fired", { when: d });
+          fireReport(user, period, { job: "report" });
+          changed = true;
+        });
+
+      if (changed) saveUser(user);
+    });
+  }
+
+  // Detect a stopped minute cron
+  function watchdog() {
+    const last = runtime.jobs["cron_tick_am_pm"]?.last_at;
+    if (!last) return;
+
+    const diffMs = now().getTime() - new Date(last).getTime();
+    if (diffMs > TICK_STALE_MS) {
+      logger.error({
+        event: "watchdog_missed",
+        job: "cron_tick_am_pm",
+        last_at: last,
+        diff_minutes: Math.round(diffMs / 60000),
+      });
+    }
+  }
+
+  // -> { ready, checks: { cron: { ok, ... }, storage: { ok } } }
+  function readiness() {
+    const checks = {};
+
+    if (config.cron === false) {
+      checks.cron = { ok: true, disabled: true };
+    } else {
+      const last = runtime.jobs["cron_tick_am_pm"]?.last_at || null;
+      // A fresh start gets one stale window to run its first tick
+      const ageMs = now().getTime() - Math.max(last ? Date.parse(last) : 0, cronStartedAt);
+      checks.cron = { ok: ageMs <= TICK_STALE_MS, last_at: last, age_seconds: Math.round(ageMs / 1000) };
+    }
+
+    // The runtime is written anyway; doing it now proves the storage takes writes
+    try {
+      storage.saveRuntime(runtime);
+      checks.storage = { ok: true };
+    } catch (err) {
+      logger.error({ event: "health_storage_error", err: err?.message || String(err) });
+      checks.storage = { ok: false };
+    }
+
+    const ready = Object.values(checks).every((c) => c.ok);
+    if (!ready) logger.warn({ event: "health_not_ready", checks });
+    return { ready, checks };
+  }
+
+  // ---------- Lifecycle ----------
+  let server = null;
+  const cronTasks = [];
+  let cronStartedAt = 0;
+
+  // Listen, connect Telegram, schedule the crons. Resolves with the http.Server.
+  function start({ port = 3000 } = {}) {
+    if (config.cron !== false) {
+      cronStartedAt = now().getTime();
+      cronTasks.push(cron.schedule("* * * * *", () => tick()), cron.schedule("*/5 * * * *", watchdog));
+    } else {
+      logger.info({ event: "cron_disabled" });
+    }
+
+    // Every deploy restarts the process, so this is off unless STARTUP_PING=true.
+    if (bot && config.startupPing) {
+      broadcaster.create({ text: STARTUP_PING, segment: { channel: "telegram" } });
+    }
+
+    return new Promise((resolve) => {
+      server = app.listen(port, () => {
+        logger.info({ event: "http_listen", port: server.address().port });
+
+        // Register the webhook only once the route can answer
+        if (bot) {
+          startTelegram().catch((err) => {
+            logger.error({
+              event: "telegram_start_error",
+              mode: telegramMode,
+              err: err?.message || String(err),
+            });
+          });
+        }
+
+        logger.info({
+          event: "boot",
+          msg: `MindArsenal running. http=${port} telegram=${bot ? telegramMode : "off"} cron=${config.cron !== false}`,
+        });
+        resolve(server);
+      });
+    });
+  }
+
+  // Stop crons and the http server, then write runtime. Storage stays open (the caller owns it).
+  async function stop() {
+    cronTasks.splice(0).forEach((task) => task.stop());
+    if (bot && telegramMode === "polling" && bot.isPolling?.()) await bot.stopPolling();
+    if (server) {
+      const closed = new Promise((resolve) => server.close(resolve));
+      server.closeIdleConnections();
+      await closed;
+    }
+    server = null;
+    personas.close();
+    flushRuntime();
+  }
+
+  return {
+    app,
+    users,
+    runtime,
+    engine,
+    outbox,
+    broadcaster,
+    tick,
+    watchdog,
+    firePrompt,
+    report,
+    flushRuntime,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createBot };
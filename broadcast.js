@@ -0,0 +1,226 @@
+// broadcast.js
+// Announcements to a segment of users across Telegram and WhatsApp.
+//
+// Segment (all given conditions must match):
+//   { onboarded: true|false, minStreak: N, inactiveDays: N, channel: "telegram"|"whatsapp" }
+//   inactiveDays: no Dawn Report or Nightly Debrief in the user's last N local days
+//
+// Broadcasts live in runtime.broadcasts (newest last, capped) with per-recipient delivery:
+//   { id, text, segment, status: "scheduled"|"sending"|"done"|"cancelled",
+//     createdAt, sendAt, startedAt, finishedAt,
+//     recipients: { [userKey]: { status: "pending"|"sent"|"failed"|"cancelled"|"unknown", at, channels } },
+//     counts: { total, sent, failed, unknown? } }
+//
+// Every recipient is queued on the outbox at once and recorded as their delivery settles,
+// so one retrying recipient holds up nobody. A broadcast still "sending" when the process
+// stopped is closed out on startup: its queued messages still go out from the persisted
+// outbox, but their outcome was lost with the process, so those recipients become "unknown".
+
+const crypto = require("crypto");
+
+const { todayDate, shiftDate } = require("./time");
+
+const MAX_KEPT = 50;
+const CHANNELS = ["telegram", "whatsapp"];
+
+function validateSegment(segment = {}) {
+  const errors = [];
+  const known = ["onboarded", "minStreak", "inactiveDays", "channel"];
+
+  Object.keys(segment).forEach((k) => {
+    if (!known.includes(k)) errors.push(`segment.${k}: unknown`);
+  });
+  if (segment.onboarded !== undefined && typeof segment.onboarded !== "boolean") {
+    errors.push("segment.onboarded: boolean");
+  }
+  for (const k of ["minStreak", "inactiveDays"]) {
+    if (segment[k] !== undefined && !(Number.isInteger(segment[k]) && segment[k] >= 0)) {
+      errors.push(`segment.${k}: non-negative integer`);
+    }
+  }
+  if (segment.channel !== undefined && !CHANNELS.includes(segment.channel)) {
+    errors.push(`segment.channel: one of ${CHANNELS.join(", ")}`);
+  }
+  return errors;
+}
+
+function userChannels(user) {
+  return CHANNELS.filter((c) => (c === "telegram" ? user.telegramChatId : user.whatsappFrom));
+}
+
+function isInactive(user, days, now) {
+  const today = todayDate(user.timezone, now);
+  for (let i = 0; i < days; i++) {
+    const day = user.logs[shiftDate(today, -i)];
+    if (day?.am || day?.pm) return false;
+  }
+  return true;
+}
+
+function matchesSegment(user, segment, now) {
+  if (segment.onboarded !== undefined && !!user.onboarded !== segment.onboarded) return false;
+  if (segment.minStreak !== undefined && (user.stats?.streakCurrent || 0) < segment.minStreak) return false;
+  if (segment.inactiveDays !== undefined && !isInactive(user, segment.inactiveDays, now)) return false;
+  if (segment.channel !== undefined && !userChannels(user).includes(segment.channel)) return false;
+  return userChannels(user).length > 0;
+}
+
+// deps:
+//   users                    live user map
+//   runtime                  live runtime object (broadcasts are kept here)
+//   send(user, text, channels?, meta?) -> [{ channel, ok, error }]
+//   dropQueued(broadcastId)  drop the broadcast's messages still queued (cancel)
+//   onChange()               persist runtime
+//   logger
+//   now()
+function createBroadcaster({ users, runtime, send, dropQueued = () => {}, onChange, logger, now = () => new Date() }) {
+  if (!runtime.broadcasts) runtime.broadcasts = [];
+
+  runtime.broadcasts
+    .filter((b) => b.status === "sending")
+    .forEach((b) => {
+      const pending = Object.values(b.recipients || {}).filter((r) => r.status === "pending");
+      pending.forEach((r) => {
+        r.status = "unknown";
+      });
+      b.counts = { ...b.counts, unknown: pending.length };
+      b.status = "done";
+      b.interrupted = true;
+      b.finishedAt = now().toISOString();
+      logger.warn({ event: "broadcast_interrupted", broadcast_id: b.id, unknown: pending.length });
+    });
+
+  function audience(segment) {
+    return Object.values(users).filter((u) => matchesSegment(u, segment, now()));
+  }
+
+  function preview(segment) {
+    const list = audience(segment);
+    const byChannel = {};
+    CHANNELS.filter((c) => !segment.channel || segment.channel === c).forEach((c) => {
+      byChannel[c] = list.filter((u) => userChannels(u).includes(c)).length;
+    });
+    return { total: list.length, byChannel };
+  }
+
+  // Keep every pending broadcast, plus the newest MAX_KEPT finished ones.
+  function prune() {
+    const finished = runtime.broadcasts.filter((b) => b.status === "done" || b.status === "cancelled");
+    if (finished.length <= MAX_KEPT) return;
+
+    const drop = new Set(finished.slice(0, finished.length - MAX_KEPT));
+    runtime.broadcasts = runtime.broadcasts.filter((b) => !drop.has(b));
+  }
+
+  function get(id) {
+    return runtime.broadcasts.find((b) => b.id === id) || null;
+  }
+
+  function list() {
+    // Recipient maps can be large; the list view only carries the counts
+    return runtime.broadcasts.map(({ recipients, ...b }) => b);
+  }
+
+  async function run(b) {
+    b.status = "sending";
+    b.startedAt = now().toISOString();
+
+    const recipients = audience(b.segment);
+    b.recipients = {};
+    recipients.forEach((u) => {
+      b.recipients[u.userKey] = { status: "pending" };
+    });
+    b.counts = { total: recipients.length, sent: 0, failed: 0 };
+    onChange();
+
+    logger.info({ event: "broadcast_start", broadcast_id: b.id, total: recipients.length });
+
+    function record(user, results) {
+      const ok = results.some((r) => r.ok);
+      // Dropped from the queue by cancel()
+      const status = ok ? "sent" : b.status === "cancelled" ? "cancelled" : "failed";
+
+      b.recipients[user.userKey] = {
+        status,
+        at: now().toISOString(),
+        channels: results.map((r) => ({ channel: r.channel, ok: r.ok, error: r.error })),
+      };
+      if (status !== "cancelled") b.counts[status]++;
+      onChange();
+    }
+
+    // Without a channel filter the user's preferred channel decides
+    const channels = b.segment.channel ? [b.segment.channel] : undefined;
+    const meta = { kind: "broadcast", broadcastId: b.id };
+    await Promise.all(recipients.map((user) => send(user, b.text, channels, meta).then((r) => record(user, r))));
+
+    if (b.status !== "cancelled") b.status = "done";
+    b.finishedAt = now().toISOString();
+    onChange();
+
+    logger.info({ event: "broadcast_done", broadcast_id: b.id, status: b.status, ...b.counts });
+    return b;
+  }
+
+  function start(b) {
+    run(b).catch((err) => {
+      logger.error({ event: "broadcast_error", broadcast_id: b.id, err: err?.message || String(err) });
+    });
+  }
+
+  // { text, segment, sendAt?, dryRun? }
+  // Returns { errors } on bad input, { dryRun, audience } for a dry run, else { broadcast }.
+  function create({ text, segment = {}, sendAt = null, dryRun = false }) {
+    const errors = validateSegment(segment);
+    if (!String(text || "").trim()) errors.push("text: required");
+
+    const when = sendAt ? new Date(sendAt) : null;
+    if (when && Number.isNaN(when.getTime())) errors.push("sendAt: ISO timestamp");
+    if (errors.length) return { errors };
+
+    if (dryRun) return { dryRun: true, audience: preview(segment) };
+
+    const b = {
+      id: `b_${crypto.randomBytes(5).toString("hex")}`,
+      text: String(text).trim(),
+      segment,
+      status: "scheduled",
+      createdAt: now().toISOString(),
+      sendAt: when ? when.toISOString() : null,
+      recipients: {},
+      counts: { total: 0, sent: 0, failed: 0 },
+    };
+
+    runtime.broadcasts.push(b);
+    prune();
+    onChange();
+
+    logger.info({ event: "broadcast_create", broadcast_id: b.id, segment, send_at: b.sendAt });
+
+    // Immediate broadcasts go out now; scheduled ones wait for runDue()
+    if (!b.sendAt || new Date(b.sendAt) <= now()) start(b);
+    return { broadcast: b };
+  }
+
+  function cancel(id) {
+    const b = get(id);
+    if (!b || b.status === "done" || b.status === "cancelled") return null;
+    b.status = "cancelled";
+    dropQueued(id);
+    onChange();
+    logger.info({ event: "broadcast_cancel", broadcast_id: id });
+    return b;
+  }
+
+  // Called from the minute cron.
+  function runDue() {
+    const t = now();
+    runtime.broadcasts
+      .filter((b) => b.status === "scheduled" && b.sendAt && new Date(b.sendAt) <= t)
+      .forEach(start);
+  }
+
+  return { create, preview, list, get, cancel, runDue };
+}
+
+module.exports = { createBroadcaster, validateSegment, matchesSegment };
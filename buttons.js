@@ -0,0 +1,161 @@
+// buttons.js
+// Quick-reply buttons for check-ins, onboarding and settings.
+//
+// A message may carry buttons: rows of { label, action }. The action is what the engine
+// receives when the button is used (see engine.js handleAction), e.g.
+//   "tz:Europe/Zurich"   "time:am:07:00"   "hab:h2:partial"   "obj:1:done"   "carry"   "snooze:pm"
+//   "pause:3"   "persona:stoic"
+//
+// Telegram renders them as an inline keyboard (action = callback_data, max 64 bytes).
+// WhatsApp has no buttons, so they become a numbered list; a bare number in the next
+// reply maps back to the action. The options last shown live in
+//   user.quickReplies = { actions: [...], at }
+
+const QUICK_REPLY_TTL_HOURS = 12;
+const SNOOZE_MINUTES = 30;
+
+const COMMON_TIMEZONES = [
+  "Europe/Zurich",
+  "Europe/London",
+  "Europe/Berlin",
+  "America/New_York",
+  "America/Chicago",
+  "America/Los_Angeles",
+  "Asia/Dubai",
+  "Asia/Singapore",
+  "Australia/Sydney",
+];
+
+const TIME_CHOICES = {
+  am: ["05:00", "06:00", "07:00", "08:00"],
+  pm: ["20:00", "21:00", "22:00", "23:00"],
+};
+
+function shortName(text, max = 14) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function chunk(list, size) {
+  const rows = [];
+  for (let i = 0; i < list.length; i += size) rows.push(list.slice(i, i + size));
+  return rows;
+}
+
+function timezoneButtons() {
+  return chunk(
+    COMMON_TIMEZONES.map((tz) => ({ label: tz.split("/")[1].replace(/_/g, " "), action: `tz:${tz}` })),
+    3
+  );
+}
+
+function timeButtons(kind) {
+  return [TIME_CHOICES[kind].map((t) => ({ label: t, action: `time:${kind}:${t}` }))];
+}
+
+// One row per habit: Done / Partial / Skipped
+function habitButtons(habits) {
+  return habits.map((h) => {
+    const name = shortName(h.name);
+    return [
+      { label: `${name}: Done`, action: `hab:${h.id}:done` },
+      { label: `${name}: Partial`, action: `hab:${h.id}:partial` },
+      { label: `${name}: Skipped`, action: `hab:${h.id}:skipped` },
+    ];
+  });
+}
+
+// One row per objective, numbered as listed (1-based)
+function objectiveButtons(objectives) {
+  return objectives.map((o, i) => {
+    const n = i + 1;
+    return [
+      { label: `${n}: Done`, action: `obj:${n}:done` },
+      { label: `${n}: Partial`, action: `obj:${n}:partial` },
+      { label: `${n}: Skipped`, action: `obj:${n}:skipped` },
+    ];
+  });
+}
+
+function carryButtons() {
+  return [[{ label: "Carry over", action: "carry" }]];
+}
+
+function snoozeButtons(kind) {
+  return [[{ label: `Snooze ${SNOOZE_MINUTES} min`, action: `snooze:${kind}` }]];
+}
+
+function settingsButtons(paused) {
+  return [
+    [
+      { label: "AM time", action: "set:am" },
+      { label: "PM time", action: "set:pm" },
+      { label: "Timezone", action: "set:timezone" },
+    ],
+    [
+      { label: "Name", action: "set:name" },
+      { label: "Mission", action: "set:goals" },
+      { label: "Coach", action: "persona" },
+    ],
+    paused
+      ? [{ label: "Resume prompts", action: "resume" }]
+      : [
+          { label: "Pause 1 day", action: "pause:1" },
+          { label: "Pause 3 days", action: "pause:3" },
+          { label: "Pause 7 days", action: "pause:7" },
+        ],
+  ];
+}
+
+function personaButtons(personas) {
+  return chunk(
+    personas.map((p) => ({ label: shortName(p.name, 20), action: `persona:${p.id}` })),
+    2
+  );
+}
+
+// sendMessage options for node-telegram-bot-api
+function telegramMarkup(buttons) {
+  if (!buttons?.length) return null;
+  return {
+    reply_markup: {
+      inline_keyboard: buttons.map((row) => row.map((b) => ({ text: b.label, callback_data: b.action }))),
+    },
+  };
+}
+
+// Append the numbered options to `text` and remember them on the user (caller saves).
+function numberedText(user, text, buttons, now = new Date()) {
+  const flat = (buttons || []).flat();
+  if (!flat.length) return text;
+
+  user.quickReplies = { actions: flat.map((b) => b.action), at: now.toISOString() };
+  return `${text}\n\n${flat.map((b, i) => `${i + 1}. ${b.label}`).join("\n")}\n\nReply with a number.`;
+}
+
+// The action behind a bare-number WhatsApp reply, or null.
+function numberedAction(user, text, now = new Date()) {
+  const q = user.quickReplies;
+  const match = String(text || "").trim().match(/^(\d{1,2})$/);
+  if (!q || !match) return null;
+
+  const ageHours = (now.getTime() - new Date(q.at).getTime()) / 3600000;
+  if (ageHours > QUICK_REPLY_TTL_HOURS) return null;
+
+  return q.actions[Number(match[1]) - 1] || null;
+}
+
+module.exports = {
+  SNOOZE_MINUTES,
+  COMMON_TIMEZONES,
+  timezoneButtons,
+  timeButtons,
+  habitButtons,
+  objectiveButtons,
+  carryButtons,
+  snoozeButtons,
+  settingsButtons,
+  personaButtons,
+  telegramMarkup,
+  numberedText,
+  numberedAction,
+};
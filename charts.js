@@ -0,0 +1,251 @@
+// charts.js
+// Progress chart for the weekly War Report, rendered server-side to PNG (@napi-rs/canvas).
+//
+// Top: AM/PM completion heatmap, one column per week (rows Mon..Sun).
+// Bottom: the streak at the end of each day, lined up under the same weeks.
+// The window is the weeks since enlistment, at least 4 and at most 12.
+//
+// Telegram gets the PNG with sendPhoto. WhatsApp needs a media URL Twilio can fetch:
+//   GET /charts/:token.png
+// Tokens live in runtime.chartTokens = { [token]: { userKey, date, expiresAt } } and expire
+// after CHART_LINK_HOURS (default 24). The image is rendered at fetch time.
+
+const crypto = require("crypto");
+const express = require("express");
+const { createCanvas } = require("@napi-rs/canvas");
+
+const { shiftDate } = require("./time");
+const { trackingStart, streakHistory } = require("./stats");
+
+const CHART_LINK_HOURS = Number(process.env.CHART_LINK_HOURS) || 24;
+const MIN_WEEKS = 4;
+const MAX_WEEKS = 12;
+
+const WIDTH = 640;
+const PAD = 24;
+const LABEL_W = 44;
+const ROW_H = 22;
+const STREAK_H = 110;
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const COLORS = {
+  background: "#0d1117",
+  text: "#e6edf3",
+  muted: "#8b949e",
+  full: "#2ea043",
+  half: "#d29922",
+  missed: "#da3633",
+  paused: "#30363d",
+  open: "#161b22",
+  none: "#161b22",
+  streak: "#58a6ff",
+};
+
+const LEGEND = [
+  ["full", "AM + PM"],
+  ["half", "One of two"],
+  ["missed", "Missed"],
+  ["paused", "Paused"],
+];
+
+// Monday = 0
+function weekday(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function dayState(user, date, start, today) {
+  if (!start || date < start || date > today) return "none";
+
+  const day = user.logs[date] || {};
+  if (day.am && day.pm) return "full";
+  if (day.paused) return "paused";
+  if (date === today) return "open";
+  return day.am || day.pm ? "half" : "missed";
+}
+
+// The weeks shown, oldest first: [{ monday, days: [{ date, state, streak }] }]
+function chartWeeks(user, today) {
+  const tracked = trackingStart(user);
+  const start = tracked || today;
+  const lastMonday = shiftDate(today, -weekday(today));
+  const span = Math.floor(daysBetween(shiftDate(start, -weekday(start)), lastMonday) / 7) + 1;
+  const count = Math.min(MAX_WEEKS, Math.max(MIN_WEEKS, span));
+
+  const streaks = {};
+  streakHistory(user, today).forEach((h) => {
+    streaks[h.date] = h.streak;
+  });
+
+  const weeks = [];
+  for (let w = count - 1; w >= 0; w--) {
+    const monday = shiftDate(lastMonday, -7 * w);
+    const days = DAY_NAMES.map((_, i) => {
+      const date = shiftDate(monday, i);
+      return { date, state: dayState(user, date, tracked, today), streak: streaks[date] ?? null };
+    });
+    weeks.push({ monday, days });
+  }
+  return weeks;
+}
+
+// -> PNG Buffer
+function renderChart(user, today, { name = user.name || user.firstName || "" } = {}) {
+  const weeks = chartWeeks(user, today);
+  const colW = Math.min(64, Math.floor((WIDTH - PAD - LABEL_W - PAD) / weeks.length));
+  const left = PAD + LABEL_W;
+
+  const heatTop = 78;
+  const heatBottom = heatTop + DAY_NAMES.length * ROW_H;
+  const legendTop = heatBottom + 30;
+  const streakTop = legendTop + 40;
+  const height = streakTop + STREAK_H + 30;
+
+  const canvas = createCanvas(WIDTH, height);
+  const g = canvas.getContext("2d");
+
+  g.fillStyle = COLORS.background;
+  g.fillRect(0, 0, WIDTH, height);
+
+  // Title
+  g.fillStyle = COLORS.text;
+  g.font = "bold 20px sans-serif";
+  g.fillText(name ? `War Report — ${name}` : "War Report", PAD, 36);
+  g.fillStyle = COLORS.muted;
+  g.font = "13px sans-serif";
+  g.fillText(`Last ${weeks.length} weeks to ${today}`, PAD, 58);
+
+  // Heatmap
+  g.font = "11px sans-serif";
+  DAY_NAMES.forEach((label, row) => {
+    g.fillStyle = COLORS.muted;
+    g.fillText(label, PAD, heatTop + row * ROW_H + 14);
+  });
+
+  weeks.forEach((week, col) => {
+    const x = left + col * colW;
+    week.days.forEach((day, row) => {
+      const y = heatTop + row * ROW_H;
+      g.fillStyle = COLORS[day.state];
+      g.fillRect(x, y, colW - 4, ROW_H - 4);
+      if (day.state === "open") {
+        g.strokeStyle = COLORS.muted;
+        g.strokeRect(x + 0.5, y + 0.5, colW - 5, ROW_H - 5);
+      }
+    });
+
+    // Week labels, thinned out when the columns get narrow
+    if (colW >= 40 || col % 2 === weeks.length % 2) {
+      g.fillStyle = COLORS.muted;
+      g.fillText(week.monday.slice(5), x, heatBottom + 12);
+    }
+  });
+
+  // Legend
+  let lx = left;
+  LEGEND.forEach(([state, label]) => {
+    g.fillStyle = COLORS[state];
+    g.fillRect(lx, legendTop, 12, 12);
+    g.fillStyle = COLORS.text;
+    g.fillText(label, lx + 18, legendTop + 10);
+    lx += 18 + g.measureText(label).width + 20;
+  });
+
+  // Streak over time, one bar per day
+  const days = weeks.flatMap((w) => w.days);
+  const maxStreak = Math.max(1, ...days.map((d) => d.streak || 0));
+  const base = streakTop + STREAK_H;
+  const barW = colW / 7;
+
+  g.fillStyle = COLORS.text;
+  g.font = "bold 13px sans-serif";
+  g.fillText("Streak", PAD, streakTop - 10);
+  g.font = "11px sans-serif";
+  g.fillStyle = COLORS.muted;
+  g.fillText(String(maxStreak), PAD, streakTop + 10);
+  g.fillText("0", PAD, base);
+
+  g.fillStyle = COLORS.streak;
+  days.forEach((day, i) => {
+    if (!day.streak) return;
+    const h = Math.max(1, Math.round((day.streak / maxStreak) * STREAK_H));
+    g.fillRect(left + i * barW, base - h, Math.max(1, barW - 1), h);
+  });
+
+  g.strokeStyle = COLORS.muted;
+  g.beginPath();
+  g.moveTo(left, base + 0.5);
+  g.lineTo(left + weeks.length * colW - 4, base + 0.5);
+  g.stroke();
+
+  const current = days.filter((d) => d.streak !== null).at(-1)?.streak || 0;
+  const best = Math.max(0, ...days.map((d) => d.streak || 0));
+  g.fillStyle = COLORS.text;
+  g.fillText(`Now: ${current}   Best in window: ${best}`, left, base + 20);
+
+  return canvas.toBuffer("image/png");
+}
+
+// deps:
+//   users          live user map
+//   runtime        live runtime object (chart tokens)
+//   publicUrl      PUBLIC_URL; media links are unavailable without it
+//   onChange()     persist runtime
+//   logger
+//   now()
+function createCharts({ users, runtime, publicUrl, onChange, logger, now = () => new Date() }) {
+  if (!runtime.chartTokens) runtime.chartTokens = {};
+
+  function pruneTokens() {
+    const t = now().getTime();
+    Object.entries(runtime.chartTokens).forEach(([token, entry]) => {
+      if (new Date(entry.expiresAt).getTime() <= t) delete runtime.chartTokens[token];
+    });
+  }
+
+  // Media URL of the chart as of `date`, or null when PUBLIC_URL is not set
+  function issueLink(user, date) {
+    if (!publicUrl) return null;
+    pruneTokens();
+
+    const token = crypto.randomBytes(24).toString("hex");
+    const expiresAt = new Date(now().getTime() + CHART_LINK_HOURS * 3600000).toISOString();
+    runtime.chartTokens[token] = { userKey: user.userKey, date, expiresAt };
+    onChange();
+
+    return `${publicUrl.replace(/\/+$/, "")}/charts/${token}.png`;
+  }
+
+  function revoke(userKey) {
+    Object.entries(runtime.chartTokens).forEach(([token, entry]) => {
+      if (entry.userKey === userKey) delete runtime.chartTokens[token];
+    });
+    onChange();
+  }
+
+  const router = express.Router();
+
+  router.get("/:file", (req, res) => {
+    pruneTokens();
+
+    const token = req.params.file.replace(/\.png$/, "");
+    const entry = runtime.chartTokens[token];
+    const user = entry && users[entry.userKey];
+
+    if (!user) {
+      logger.warn({ event: "chart_download_reject", ip: req.ip });
+      return res.status(404).type("text/plain").send("Link expired or invalid.");
+    }
+
+    logger.info({ event: "chart_download", user_key: user.userKey, date: entry.date });
+    res.set("Cache-Control", "no-store");
+    res.type("image/png").send(renderChart(user, entry.date));
+  });
+
+  return { issueLink, revoke, router };
+}
+
+module.exports = { createCharts, renderChart, chartWeeks };
@@ -0,0 +1,290 @@
+// coach.js
+// AI coach (OpenAI) with per-user conversation memory.
+//
+// user.memory = {
+//   history: [{ role: "user" | "assistant", content, at }],  // last COACH_HISTORY_SIZE messages
+//   summary: "",                                             // rolling summary of older messages
+// }
+//
+// Every reply also sees the trainee's recent Dawn Reports, Nightly Debriefs and streaks.
+// analyzeDebrief() audits a Nightly Debrief into a structured score (stored on logs[date].pm.analysis).
+// extractObjectives() reads the objectives out of a Dawn Report written as prose (see objectives.js).
+
+const { todayDate, shiftDate } = require("./time");
+const { habitsOf } = require("./habits");
+const { MAX_OBJECTIVES, objectivesOf, formatObjectives } = require("./objectives");
+
+const COACH_HISTORY_SIZE = Math.max(2, Number(process.env.COACH_HISTORY_SIZE) || 12);
+const CONTEXT_DAYS = 5;
+
+const SUMMARY_PROMPT =
+  "Update the running summary of a coaching conversation. Keep facts the coach will need later: " +
+  "commitments, recurring excuses, wins, struggles. Plain prose, maximum 120 words.";
+
+// `voice` comes from the user's persona
+function debriefPrompt(voice) {
+  return (
+    "You audit a trainee's Nightly Debrief against the Dawn Report they filed that morning. " +
+    "List which stated objectives were executed and which were skipped (use the trainee's wording, short). " +
+    "Extract every excuse given. Score execution from 0 (nothing done) to 10 (everything done, no excuses). " +
+    `Write one correction for tomorrow in ${voice}, max 3 sentences, ` +
+    "ending with a concrete action aimed at the weakest point."
+  );
+}
+
+const DEBRIEF_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["executed", "skipped", "excuses", "score", "correction"],
+  properties: {
+    executed: { type: "array", items: { type: "string" }, description: "Objectives carried out." },
+    skipped: { type: "array", items: { type: "string" }, description: "Objectives not carried out." },
+    excuses: { type: "array", items: { type: "string" }, description: "Reasons given for skipping." },
+    score: { type: "integer", description: "Execution score, 0 to 10." },
+    correction: { type: "string", description: "Specific correction for tomorrow." },
+  },
+};
+
+const OBJECTIVES_PROMPT =
+  `Extract the trainee's critical objectives for today from their Dawn Report, at most ${MAX_OBJECTIVES}. ` +
+  "One short imperative line each, in the trainee's wording. Drop filler, feelings and commentary.";
+
+const OBJECTIVES_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["objectives"],
+  properties: {
+    objectives: { type: "array", items: { type: "string" }, description: "Today's objectives, in order." },
+  },
+};
+
+function clip(text, max = 200) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+}
+
+function clearMemory(user) {
+  user.memory = { history: [], summary: "" };
+}
+
+function memoryOf(user) {
+  if (!user.memory) clearMemory(user);
+  return user.memory;
+}
+
+// Recent logs and numbers, so the coach can point at patterns instead of guessing.
+function trainingContext(user, now) {
+  const s = user.stats;
+  const today = todayDate(user.timezone, now);
+  const habits = habitsOf(user);
+  const habitName = (id) => habits.find((h) => h.id === id)?.name || id;
+
+  const days = [];
+  for (let i = 0; i < CONTEXT_DAYS; i++) {
+    const date = shiftDate(today, -i);
+    const day = user.logs[date];
+    if (!day) continue;
+
+    const am = day.am ? `AM: "${clip(day.am.text)}"` : day.amPromptSent ? "AM: no Dawn Report" : "";
+    const pm = day.pm ? `PM: "${clip(day.pm.text)}"` : day.pmPromptSent ? "PM: no Nightly Debrief" : "";
+    const results = Object.entries(day.pm?.habits || {})
+      .map(([id, r]) => `${habitName(id)} ${r}`)
+      .join(", ");
+
+    const parts = [am, pm, results && `habits: ${results}`, day.failed && "marked failed"].filter(Boolean);
+    if (parts.length) days.push(`${date}${i === 0 ? " (today)" : ""}: ${parts.join(" | ")}`);
+  }
+
+  return (
+    `Trainee: ${user.name || user.firstName || "warrior"}\n` +
+    `Mission:\n${user.goalsText || user.habitsText || "No mission defined."}\n\n` +
+    `Streak: current ${s.streakCurrent}, best ${s.streakBest}. Full days: ${s.daysWithBoth}/${s.totalDays}.\n\n` +
+    `Last ${CONTEXT_DAYS} days:\n${days.length ? days.join("\n") : "No reports yet."}`
+  );
+}
+
+// deps:
+//   openai     OpenAI client, or null when no API key is configured
+//   model      chat model name
+//   personas   system prompt and debrief voice per user (see personas.js)
+//   logger
+//   now()      clock
+function createCoach({ openai, model, personas, logger, now = () => new Date() }) {
+  // Fold the oldest half of the history into the summary once it overflows.
+  async function compact(user) {
+    const memory = memoryOf(user);
+    if (memory.history.length <= COACH_HISTORY_SIZE) return;
+
+    const cut = memory.history.length - Math.floor(COACH_HISTORY_SIZE / 2);
+    const old = memory.history.slice(0, cut);
+    memory.history = memory.history.slice(cut);
+
+    try {
+      const transcript = old.map((m) => `${m.role === "user" ? "Trainee" : "Coach"}: ${m.content}`).join("\n");
+      const res = await openai.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: SUMMARY_PROMPT },
+          {
+            role: "user",
+            content: `Current summary:\n${memory.summary || "(none)"}\n\nNew exchanges:\n${transcript}`,
+          },
+        ],
+      });
+
+      memory.summary = res.choices[0].message.content.trim();
+      logger.info({ event: "coach_memory_compact", user_key: user.userKey, folded: old.length });
+    } catch (err) {
+      // Losing the oldest turns is acceptable; the logs context still carries the facts
+      logger.warn({ event: "coach_memory_compact_fail", user_key: user.userKey, err: err?.message || String(err) });
+    }
+  }
+
+  async function reply(user, text) {
+    const name = user.name || user.firstName || "warrior";
+    const goals = user.goalsText || user.habitsText || "No mission defined.";
+
+    if (!openai) {
+      logger.warn({ event: "openai_missing", user_key: user.userKey });
+      return `${name}, system offline.\nYour mission:\n${goals}`;
+    }
+
+    const memory = memoryOf(user);
+
+    try {
+      logger.info({
+        event: "openai_call",
+        user_key: user.userKey,
+        model,
+        text_len: (text || "").length,
+        history: memory.history.length,
+      });
+
+      const messages = [
+        { role: "system", content: personas.systemPrompt(user) },
+        { role: "system", content: `Trainee context:\n${trainingContext(user, now())}` },
+      ];
+      if (memory.summary) {
+        messages.push({ role: "system", content: `Earlier conversation (summary):\n${memory.summary}` });
+      }
+      memory.history.forEach((m) => messages.push({ role: m.role, content: m.content }));
+      messages.push({ role: "user", content: text });
+
+      const res = await openai.chat.completions.create({ model, messages });
+      const answer = res.choices[0].message.content.trim();
+
+      const at = now().toISOString();
+      memory.history.push({ role: "user", content: text, at }, { role: "assistant", content: answer, at });
+      await compact(user);
+
+      return answer;
+    } catch (err) {
+      logger.error({
+        event: "openai_error",
+        user_key: user.userKey,
+        err: err?.message || String(err),
+      });
+
+      return `${name}, OpenAI failed.\nMessage:\n"${text}"\nExecute one step now.`;
+    }
+  }
+
+  // Structured audit of a day's debrief. Resolves to
+  //   { executed: [], skipped: [], excuses: [], score: 0-10, correction, model, at }
+  // or null when the model is unavailable or answers garbage.
+  async function analyzeDebrief(user, date) {
+    const day = user.logs[date] || {};
+    if (!openai || !day.pm) return null;
+
+    const habits = habitsOf(user);
+    const results = Object.entries(day.pm.habits || {})
+      .map(([id, r]) => `${habits.find((h) => h.id === id)?.name || id}: ${r}`)
+      .join("\n");
+    const objectives = objectivesOf(day);
+    const outcomes = objectives.length
+      ? `Objective results:\n${formatObjectives(objectives, { results: true })}\n\n`
+      : "";
+
+    try {
+      logger.info({ event: "openai_call", user_key: user.userKey, model, purpose: "debrief_analysis", date });
+
+      const res = await openai.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: debriefPrompt(personas.debriefVoice(user)) },
+          {
+            role: "user",
+            content:
+              `Dawn Report (${date}):\n${day.am?.text || "(none filed)"}\n\n` +
+              outcomes +
+              `Habit results:\n${results || "(none)"}\n\n` +
+              `Nightly Debrief:\n${day.pm.text}`,
+          },
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "debrief_analysis", strict: true, schema: DEBRIEF_SCHEMA },
+        },
+      });
+
+      const parsed = JSON.parse(res.choices[0].message.content);
+      return {
+        executed: parsed.executed || [],
+        skipped: parsed.skipped || [],
+        excuses: parsed.excuses || [],
+        score: Math.max(0, Math.min(10, Math.round(Number(parsed.score) || 0))),
+        correction: String(parsed.correction || "").trim(),
+        model,
+        at: now().toISOString(),
+      };
+    } catch (err) {
+      logger.error({
+        event: "openai_error",
+        user_key: user.userKey,
+        purpose: "debrief_analysis",
+        err: err?.message || String(err),
+      });
+      return null;
+    }
+  }
+
+  // -> [text] (at most MAX_OBJECTIVES), or null when the model is unavailable or finds none
+  async function extractObjectives(user, text) {
+    if (!openai) return null;
+
+    try {
+      logger.info({ event: "openai_call", user_key: user.userKey, model, purpose: "dawn_objectives" });
+
+      const res = await openai.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: OBJECTIVES_PROMPT },
+          { role: "user", content: text },
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "dawn_objectives", strict: true, schema: OBJECTIVES_SCHEMA },
+        },
+      });
+
+      const parsed = JSON.parse(res.choices[0].message.content);
+      const objectives = (parsed.objectives || [])
+        .map((o) => clip(o))
+        .filter(Boolean)
+        .slice(0, MAX_OBJECTIVES);
+      return objectives.length ? objectives : null;
+    } catch (err) {
+      logger.error({
+        event: "openai_error",
+        user_key: user.userKey,
+        purpose: "dawn_objectives",
+        err: err?.message || String(err),
+      });
+      return null;
+    }
+  }
+
+  return { reply, analyzeDebrief, extractObjectives };
+}
+
+module.exports = { createCoach, clearMemory, trainingContext, COACH_HISTORY_SIZE };
@@ -0,0 +1,916 @@
+// engine.js
+// Channel-agnostic conversation engine.
+// Takes (user, text) and returns the outbound messages; delivery is the adapter's job
+// (Telegram pushes them, WhatsApp folds them into the TwiML response).
+// Messages may carry quick-reply buttons (see buttons.js); a pressed button comes back
+// as an action instead of text.
+// Onboarding and check-in texts come from the user's coach persona (see personas.js).
+
+const { normalizeTimezone, zonedParts, todayDate, formatTimeString, formatDateString, shiftDate } = require("./time");
+const { updateDailyStats } = require("./stats");
+const { clearMemory } = require("./coach");
+const { linkedChannels } = require("./linking");
+const { cutoffFor } = require("./followups");
+const { exportFiles } = require("./exportfiles");
+const { DEFAULT_PERSONA } = require("./personas");
+const { sharesDebrief } = require("./squads");
+const { parseWeekday, reportScheduleOf, formatSchedule } = require("./reports");
+const { setHabitsFromText, habitsOf, parseHabitResults, recordHabitResults } = require("./habits");
+const {
+  splitObjectives,
+  objectivesOf,
+  formatObjectives,
+  openObjectives,
+  carryOvers,
+  applyObjectiveResults,
+} = require("./objectives");
+const {
+  SNOOZE_MINUTES,
+  timezoneButtons,
+  timeButtons,
+  habitButtons,
+  objectiveButtons,
+  settingsButtons,
+  personaButtons,
+} = require("./buttons");
+
+// WhatsApp has no slash commands, so plain words open the menu there.
+const WHATSAPP_START_WORDS = ["start", "/start", "help", "menu"];
+
+// /set <field> <value>
+const SETTING_FIELDS = {
+  am: "amTime",
+  pm: "pmTime",
+  timezone: "timezone",
+  tz: "timezone",
+  name: "name",
+  report: "report",
+};
+
+const MAX_PAUSE_DAYS = 90;
+
+const SQUAD_SUBCOMMANDS = ["create", "join", "leave", "board", "share"];
+
+const SQUAD_HELP =
+  "Squads: execute in the open.\n\n" +
+  "/squad create <name>\n" +
+  "/squad join <code>\n" +
+  "/squad (roll-call now)\n" +
+  "/squad board (weekly leaderboard)\n" +
+  "/squad share off (keep your debrief text private; status stays visible)\n" +
+  "/squad leave";
+
+const UNSUPPORTED_MESSAGE = "Unsupported message. Send text, a voice note or a photo.";
+
+// /delete must be confirmed within this window
+const DELETE_CONFIRM_MINUTES = 10;
+
+const SETTINGS_USAGE =
+  "Change:\n" +
+  "/set am 07:00\n" +
+  "/set pm 21:00\n" +
+  "/set timezone Europe/Zurich\n" +
+  "/set name Max\n" +
+  "/set report sun 18:00 (weekly report)\n" +
+  "/setgoals\n" +
+  "/persona stoic\n" +
+  "/pause 2026-12-24 (prompts return that day)\n" +
+  "/resume";
+
+// Settings, export and delete also work as plain words on WhatsApp ("set am 07:00", "pause 2026-12-24"),
+// but only when the whole message reads as one, so a report starting with "set" stays a report.
+function whatsappCommand(lowered) {
+  const [word, arg, ...rest] = lowered.split(/\s+/);
+
+  if (["settings", "resume", "setgoals", "export", "delete"].includes(lowered)) return `/${lowered}`;
+  if (word === "persona" && rest.length === 0) return "/persona";
+  if (word === "squad" && (!arg || SQUAD_SUBCOMMANDS.includes(arg))) return "/squad";
+  if (word === "set" && (SETTING_FIELDS[arg] || arg === "goals") && (rest.length || arg === "goals")) return "/set";
+  if (word === "pause" && (!arg || formatDateString(arg) || (arg === "until" && rest.length === 1))) return "/pause";
+  return "";
+}
+
+function displayName(user) {
+  return user.name || user.firstName || "warrior";
+}
+
+function enlistedSummary(user) {
+  const s = user.stats;
+  return (
+    "MindArsenal Coach online.\nYou are enlisted.\n\n" +
+    `Name: ${displayName(user)}\n` +
+    `Zone: ${user.timezone}\n` +
+    `AM: ${user.amTime}\nPM: ${user.pmTime}\n\n` +
+    `Mission:\n${user.goalsText}\n\n` +
+    "Discipline:\n" +
+    `• Full execution days: ${s.daysWithBoth}/${s.totalDays}\n` +
+    `• Current streak: ${s.streakCurrent}\n` +
+    `• Best streak: ${s.streakBest}\n\n` +
+    "Settings: /settings"
+  );
+}
+
+function settingsSummary(user, today, coach) {
+  const paused = user.pausedUntil && user.pausedUntil > today;
+  return (
+    "Settings.\n\n" +
+    `Name: ${displayName(user)}\n` +
+    `Coach: ${coach}\n` +
+    `Zone: ${user.timezone}\n` +
+    `AM: ${user.amTime}\nPM: ${user.pmTime}\n` +
+    `Cutoff: ${cutoffFor(user)}\n` +
+    `Weekly report: ${formatSchedule(user)}\n` +
+    `Channel: ${user.preferredChannel || linkedChannels(user).join(" + ")}\n` +
+    `Prompts: ${paused ? `paused until ${user.pausedUntil}` : "active"}\n\n` +
+    SETTINGS_USAGE
+  );
+}
+
+// deps:
+//   save(user)                  persist the user after a state change
+//   coachReply(user, text)      AI fallback, resolves to a string
+//   analyzeDebrief(user, date)  optional; structured debrief audit or null
+//   extractObjectives(user, text)  optional; objectives from a prose Dawn Report, or null
+//   linker                      optional; account linking (see linking.js)
+//   exporter                    optional; WhatsApp download links (see export.js)
+//   squads                      optional; accountability squads (see squads.js)
+//   deleteAccount(user)         optional; remove the user everywhere
+//   personas                    coach personas and texts (see personas.js)
+//   logger                      pino-style logger
+//   now()                       clock (defaults to the real one)
+function createEngine({
+  save,
+  coachReply,
+  analyzeDebrief = null,
+  extractObjectives = null,
+  linker = null,
+  exporter = null,
+  squads = null,
+  deleteAccount = null,
+  personas,
+  logger,
+  now = () => new Date(),
+}) {
+  const say = personas.text;
+
+  // Returns false when no habit could be read from the text.
+  function setMission(user, text) {
+    const habits = setHabitsFromText(user, text);
+    logger.info({
+      event: "habit_save",
+      user_key: user.userKey,
+      changed: ["habits", "goalsText", "habitsText"],
+      habits: habits.length,
+    });
+    return habits.length > 0;
+  }
+
+  // Results per Dawn Report objective come after the habits, in their own round
+  function objectiveRound(user, date) {
+    const objectives = objectivesOf(user.logs[date]);
+    const open = openObjectives(user, date);
+
+    user.pending = "pm_objectives";
+    user.pendingDate = date;
+    save(user);
+    return [
+      {
+        text:
+          "Last: your Dawn Report objectives — done, partial or skipped?\n\n" +
+          formatObjectives(objectives) +
+          `\n\nExample: ${objectives.indexOf(open[0]) + 1} done`,
+        buttons: objectiveButtons(objectives).filter((_, i) => !objectives[i].result),
+      },
+    ];
+  }
+
+  async function finishDebrief(user, date) {
+    const pm = user.logs[date].pm;
+    // Habit results count once they are complete, whether or not the objective round is answered
+    if (!pm.habitsRecorded) {
+      recordHabitResults(user, pm.habits || {});
+      pm.habitsRecorded = true;
+    }
+
+    if (openObjectives(user, date).length) return objectiveRound(user, date);
+
+    user.pending = null;
+    user.pendingDate = null;
+    updateDailyStats(user, date);
+
+    const analysis = analyzeDebrief ? await analyzeDebrief(user, date) : null;
+    if (analysis) pm.analysis = analysis;
+    save(user);
+
+    logger.info({ event: "pm_reply", user_key: user.userKey, date, score: analysis?.score });
+
+    const habits = habitsOf(user);
+    const done = habits.filter((h) => pm.habits?.[h.id] === "done").length;
+    const partial = habits.filter((h) => pm.habits?.[h.id] === "partial").length;
+    let tally = habits.length
+      ? `Habits executed: ${done}/${habits.length}${partial ? ` (${partial} partial)` : ""}.\n`
+      : "";
+
+    const objectives = objectivesOf(user.logs[date]);
+    const hit = objectives.filter((o) => o.result === "done").length;
+    if (objectives.length) tally += `Objectives executed: ${hit}/${objectives.length}.\n`;
+
+    const logged = say(user, "pm_logged");
+    if (!analysis) return [`${logged}\n${tally}${say(user, "pm_logged.sign_off")}`];
+
+    const lines = [`${logged}\n${tally}Execution score: ${analysis.score}/10.`];
+    if (analysis.skipped.length) lines.push(`Skipped:\n${analysis.skipped.map((o) => `• ${o}`).join("\n")}`);
+    if (analysis.excuses.length) lines.push(`Excuses noted:\n${analysis.excuses.map((e) => `• ${e}`).join("\n")}`);
+    lines.push(`Correction for tomorrow:\n${analysis.correction}`);
+    return [lines.join("\n\n")];
+  }
+
+  function handleLink(user, code, channel) {
+    const other = channel === "telegram" ? "WhatsApp" : "Telegram";
+
+    if (!code) {
+      const { code: issued, ttlMinutes } = linker.issue(user, channel);
+      return [
+        `Link code: ${issued}\nValid ${ttlMinutes} minutes.\n\n` +
+          `Send this from ${other}:\n/link ${issued}\n\nOne account. One record. No split streaks.`,
+      ];
+    }
+
+    const { user: merged, error } = linker.redeem(user, channel, code);
+    if (error === "same_channel") return [`Redeem the code from ${other}, not from here.`];
+    if (error === "already_linked") return ["This account is already linked. /unlink first."];
+    if (error === "same_account") return ["This code came from this account. Send it from your other one."];
+    if (error) return ["Invalid or expired code.\nIssue a new one with /link."];
+
+    const s = merged.stats;
+    return [
+      "Accounts linked.\n\n" +
+        `Channels: ${linkedChannels(merged).join(" + ")}\n` +
+        `Full execution days: ${s.daysWithBoth}/${s.totalDays}\n` +
+        `Current streak: ${s.streakCurrent}\n\n` +
+        "Scheduled prompts hit both apps.\nPick one with /channel telegram or /channel whatsapp.",
+    ];
+  }
+
+  function handleSquad(user, args) {
+    if (!user.onboarded) return ["Complete onboarding first. /start"];
+
+    const [sub = "", ...rest] = args;
+    const squad = squads.squadOf(user);
+
+    if (sub === "create") {
+      const { squad: created, error } = squads.create(user, rest.join(" "));
+      if (error === "in_squad") return [`You are already in ${squad.name}.\n/squad leave first.`];
+      if (error) return ["Usage: /squad create <name>"];
+      return [
+        `Squad created: ${created.name}.\nJoin code: ${created.code}\n\n` +
+          `Others join from Telegram or WhatsApp with:\n/squad join ${created.code}`,
+      ];
+    }
+
+    if (sub === "join") {
+      const { squad: joined, error } = squads.join(user, rest[0]);
+      if (error === "in_squad") return [`You are already in ${squad.name}.\n/squad leave first.`];
+      if (error === "full") return ["That squad is full."];
+      if (error) return ["Unknown squad code."];
+      return [
+        `Joined ${joined.name}. ${joined.members.length} members.\n\n` +
+          `Roll-call arrives daily at ${cutoffFor(user)}.\n` +
+          (sharesDebrief(user)
+            ? "Your debrief text is shared with the squad. /squad share off to keep it private."
+            : "Your debrief text stays private. Completion status is shared."),
+      ];
+    }
+
+    if (sub === "share") {
+      const choice = (rest[0] || "").toLowerCase();
+      if (choice !== "on" && choice !== "off") return ["Usage: /squad share on | off"];
+
+      user.squadShareDebrief = choice === "on";
+      save(user);
+      logger.info({ event: "setting_update", user_key: user.userKey, field: "squadShareDebrief" });
+      return [
+        choice === "on"
+          ? "Debrief text shared with your squad."
+          : "Debrief text private.\nThe squad still sees whether you filed.",
+      ];
+    }
+
+    if (!squad) return [SQUAD_HELP];
+
+    if (sub === "leave") {
+      squads.leave(user);
+      return [`You left ${squad.name}.`];
+    }
+    if (sub === "board") return [squads.leaderboard(squad)];
+    if (sub) return [SQUAD_HELP];
+
+    return [`${squads.rollCall(squad)}\n\nJoin code: ${squad.code}`];
+  }
+
+  function handleUnlink(user) {
+    const { channel, error } = linker.unlink(user);
+    if (error) return ["Nothing to unlink."];
+    return [`${channel === "telegram" ? "Telegram" : "WhatsApp"} detached.\nIt starts from zero if it writes again.`];
+  }
+
+  function handleChannel(user, choice) {
+    const linked = linkedChannels(user);
+
+    if (choice === "both") {
+      user.preferredChannel = null;
+    } else if (linked.includes(choice)) {
+      user.preferredChannel = choice;
+    } else {
+      return [`Usage: /channel ${[...linked, "both"].join(" | ")}\nCurrent: ${user.preferredChannel || "both"}`];
+    }
+
+    save(user);
+    logger.info({ event: "preferred_channel_set", user_key: user.userKey, channel: user.preferredChannel });
+    return [`Scheduled prompts: ${user.preferredChannel || linked.join(" + ")}.`];
+  }
+
+  function settingsMessage(user, d) {
+    const paused = !!user.pausedUntil && user.pausedUntil > d;
+    return { text: settingsSummary(user, d, personas.get(user.persona)?.name), buttons: settingsButtons(paused) };
+  }
+
+  // /persona lists the coaches, /persona <id> switches
+  function handlePersona(user, id) {
+    const current = personas.get(user.persona)?.id;
+
+    if (!id) {
+      const list = personas.list();
+      const lines = list.map((p) => `${p.id === current ? "▸" : "•"} ${p.name} (${p.id})\n  ${p.description}`);
+      const text = `Coach personas:\n\n${lines.join("\n")}\n\nSwitch: /persona <id>`;
+      return [{ text, buttons: personaButtons(list) }];
+    }
+
+    if (!personas.has(id)) return [`Unknown persona: ${id}\nSee /persona`];
+
+    // The default is not stored, so a change of DEFAULT_PERSONA reaches everyone who never picked
+    user.persona = id === DEFAULT_PERSONA ? null : id;
+    save(user);
+
+    logger.info({ event: "setting_update", user_key: user.userKey, field: "persona", persona: id });
+    return [`Coach set: ${personas.get(id).name}.`];
+  }
+
+  // Same validation as onboarding
+  function handleSet(user, args) {
+    const [key, ...words] = args;
+    const value = words.join(" ").trim();
+
+    if (key === "goals") {
+      user.pending = "setgoals";
+      save(user);
+      return [`${say(user, "setgoals")}\n\n${say(user, "onboarding.mission_hint")}`];
+    }
+
+    const field = SETTING_FIELDS[key];
+    if (!field || !value) return [SETTINGS_USAGE];
+
+    if (field === "report") return setReportSchedule(user, words);
+
+    if (field === "name") {
+      user.name = value;
+    } else if (field === "timezone") {
+      const tz = normalizeTimezone(value);
+      if (!tz) return ["Unknown timezone. Use IANA format.\nExample: Europe/Zurich"];
+      user.timezone = tz;
+    } else {
+      const t = formatTimeString(value);
+      if (!t) return ["Invalid format. Use HH:MM (24h)."];
+      user[field] = t;
+    }
+
+    save(user);
+    logger.info({ event: "setting_update", user_key: user.userKey, field });
+
+    const labels = { name: "Name", timezone: "Zone", amTime: "AM", pmTime: "PM" };
+    return [`${labels[field]} set: ${user[field]}.`];
+  }
+
+  // /set report <weekday> [HH:MM], in the user's timezone. Monthly and quarterly reports follow the time.
+  function setReportSchedule(user, words) {
+    const current = reportScheduleOf(user);
+    const day = parseWeekday(words[0]);
+    const time = words[1] ? formatTimeString(words[1]) : current.time;
+    if (day === null || !time) return ["Usage: /set report <day> HH:MM\nExample: /set report sun 18:00"];
+
+    user.reportDay = day;
+    user.reportTime = time;
+    save(user);
+
+    logger.info({ event: "setting_update", user_key: user.userKey, field: "report" });
+    return [`Weekly report set: ${formatSchedule(user)} (${user.timezone}).`];
+  }
+
+  // /pause YYYY-MM-DD: no prompts, nudges or cutoffs before that date; streak is frozen.
+  function handlePause(user, args, d) {
+    const date = formatDateString(args[0] === "until" ? args[1] : args[0]);
+    if (!date) return [`Usage: /pause YYYY-MM-DD\nPrompts return on that date. Max ${MAX_PAUSE_DAYS} days.`];
+    if (date <= d) return ["Pick a date after today."];
+    if (date > shiftDate(d, MAX_PAUSE_DAYS)) return [`Max pause: ${MAX_PAUSE_DAYS} days.`];
+
+    const day = user.logs[d];
+    // Once a prompt has gone out, today is owed: pausing does not skip it
+    const started = day.amPromptSent || day.pmPromptSent || day.amPromptQueued || day.pmPromptQueued;
+
+    user.pausedUntil = date;
+    user.pausedFrom = started ? shiftDate(d, 1) : d;
+    if (!started) {
+      day.paused = true;
+      if (user.pending === "am" || user.pending === "pm") user.pending = null;
+    }
+    save(user);
+
+    logger.info({ event: "prompts_pause", user_key: user.userKey, until: date, today_counts: !!started });
+    return [say(user, started ? "pause.today_counts" : "pause", { until: date })];
+  }
+
+  function handleResume(user, d) {
+    if (!user.pausedUntil || user.pausedUntil <= d) return ["Prompts are active."];
+
+    user.pausedUntil = null;
+    user.pausedFrom = null;
+    // Back the same day: today counts again, unless its prompt times are already past
+    const { time } = zonedParts(now(), user.timezone);
+    const ahead = time < user.amTime || time < user.pmTime;
+    if (ahead) delete user.logs[d].paused;
+    save(user);
+
+    const todayPaused = !!user.logs[d].paused;
+    logger.info({ event: "prompts_resume", user_key: user.userKey, early: true, today_paused: todayPaused });
+    return [say(user, todayPaused ? "resume.today_paused" : "resume")];
+  }
+
+  // Habit result from a button. Finishes the debrief once the text and every habit are in.
+  async function handleHabitAction(user, id, result, d) {
+    if (user.pending !== "pm" && user.pending !== "pm_habits") return ["No Nightly Debrief open."];
+
+    const habits = habitsOf(user);
+    const habit = habits.find((h) => h.id === id);
+    if (!habit || !["done", "partial", "skipped"].includes(result)) return ["Button expired."];
+
+    const date = user.pending === "pm_habits" && user.pendingDate ? user.pendingDate : d;
+    const day = user.logs[date] || (user.logs[date] = {});
+    if (user.pending === "pm") {
+      // Held until the debrief text arrives: a day.pm on record means the debrief is filed
+      day.pmHabitsDraft = { ...day.pmHabitsDraft, [id]: result };
+      save(user);
+      return [`${habit.name}: ${result}.\nSend your Nightly Debrief.`];
+    }
+
+    const pm = day.pm || (day.pm = { text: "", timestamp: now().toISOString() });
+    pm.habits = { ...pm.habits, [id]: result };
+
+    const missing = habits.filter((h) => !pm.habits[h.id]);
+    if (!missing.length) return await finishDebrief(user, date);
+
+    save(user);
+    return [`${habit.name}: ${result}.\n${missing.length} habit(s) left.`];
+  }
+
+  async function handleObjectiveAction(user, n, result) {
+    if (user.pending !== "pm_objectives") return ["No Nightly Debrief open."];
+
+    const date = user.pendingDate;
+    const objective = objectivesOf(user.logs[date])[Number(n) - 1];
+    if (!objective || !["done", "partial", "skipped"].includes(result)) return ["Button expired."];
+
+    objective.result = result;
+    const open = openObjectives(user, date);
+    if (!open.length) return await finishDebrief(user, date);
+
+    save(user);
+    return [`Objective ${n}: ${result}.\n${open.length} objective(s) left.`];
+  }
+
+  function amLogged(user, objectives) {
+    const text = say(user, "am_logged");
+    return objectives.length ? `${text}\n\nOn record:\n${formatObjectives(objectives)}` : text;
+  }
+
+  // Yesterday's unfinished objectives become today's Dawn Report
+  function handleCarry(user, d) {
+    const carried = carryOvers(user, d);
+    if (user.pending !== "am" || user.logs[d].am || !carried.length) return ["Nothing to carry over."];
+
+    const objectives = carried.map(({ text, carriedFrom }) => ({ text, carriedFrom }));
+    user.logs[d].am = {
+      text: objectives.map((o) => o.text).join("\n"),
+      timestamp: now().toISOString(),
+      objectives,
+    };
+    user.pending = null;
+    save(user);
+
+    logger.info({ event: "am_reply", user_key: user.userKey, date: d, objectives: objectives.length, carried: true });
+    return [amLogged(user, objectives)];
+  }
+
+  function handleSnooze(user, kind, d) {
+    const day = user.logs[d];
+    if (user.pending !== kind || day[kind]) return ["Nothing to snooze."];
+    if ((day.snoozed || []).includes(kind)) return [say(user, "snooze.used")];
+
+    const until = new Date(now().getTime() + SNOOZE_MINUTES * 60000);
+    day.snooze = { kind, until: until.toISOString() };
+    day.snoozed = [...(day.snoozed || []), kind];
+    save(user);
+
+    logger.info({ event: "prompt_snooze", user_key: user.userKey, kind, until: day.snooze.until });
+    return [say(user, "snooze", { minutes: SNOOZE_MINUTES })];
+  }
+
+  // Button presses (Telegram callback_data, WhatsApp numbered replies). See buttons.js.
+  async function handleAction(user, action, d) {
+    const [type, ...parts] = action.split(":");
+    const arg = parts.join(":");
+
+    if (type === "delete") return handleDeleteAnswer(user, arg === "confirm") || ["Nothing to confirm."];
+
+    if (type === "tz") {
+      if (user.onboardingStep === "timezone") return await handleOnboarding(user, arg, d);
+      if (user.onboarded) return handleSet(user, ["timezone", arg]);
+      return ["Button expired."];
+    }
+
+    if (type === "time") {
+      const [kind, ...rest] = parts;
+      const t = rest.join(":");
+      if (user.onboardingStep === `${kind}Time`) return await handleOnboarding(user, t, d);
+      if (user.onboarded) return handleSet(user, [kind, t]);
+      return ["Button expired."];
+    }
+
+    if (!user.onboarded) return ["Complete onboarding first. /start"];
+
+    if (type === "hab") return await handleHabitAction(user, parts[0], parts[1], d);
+    if (type === "obj") return await handleObjectiveAction(user, parts[0], parts[1]);
+    if (type === "carry") return handleCarry(user, d);
+    if (type === "snooze") return handleSnooze(user, arg, d);
+    if (type === "settings") return [settingsMessage(user, d)];
+    if (type === "persona") return handlePersona(user, arg);
+    if (type === "resume") return handleResume(user, d);
+
+    if (type === "pause") {
+      const days = Number(arg);
+      if (!Number.isInteger(days) || days < 1) return ["Button expired."];
+      return handlePause(user, [shiftDate(d, days)], d);
+    }
+
+    if (type === "set") {
+      if (arg === "timezone") {
+        return [{ text: "Pick your timezone, or /set timezone <IANA name>.", buttons: timezoneButtons() }];
+      }
+      if (arg === "am" || arg === "pm") {
+        return [{ text: `Pick your ${arg.toUpperCase()} time, or /set ${arg} HH:MM.`, buttons: timeButtons(arg) }];
+      }
+      if (arg === "name") return ["Send: /set name <your name>"];
+      if (arg === "goals") return handleSet(user, ["goals"]);
+    }
+
+    return ["Button expired."];
+  }
+
+  // Telegram gets the files, WhatsApp a short-lived download link.
+  function handleExport(user, channel) {
+    logger.info({ event: "export_request", user_key: user.userKey, channel });
+
+    if (channel === "telegram") {
+      return [{ text: "Your record: profile, daily logs, stats.\nJSON and CSV.", files: exportFiles(user, now()) }];
+    }
+
+    const link = exporter?.issueLink(user);
+    if (!link) return ["Export links are offline. Export from Telegram or ask the admin."];
+    return [
+      `Your record: profile, daily logs, stats.\n\nJSON:\n${link.urls[0]}\n\nCSV:\n${link.urls[1]}\n\n` +
+        `Links expire in ${link.ttlMinutes} minutes. Do not share them.`,
+    ];
+  }
+
+  function handleDeleteRequest(user) {
+    user.deleteRequestedAt = now().toISOString();
+    save(user);
+
+    return [
+      {
+        text:
+          "This erases your profile, every Dawn Report, every Nightly Debrief and your stats, on all linked apps.\n" +
+          "Scheduled prompts stop. There is no undo.\n\n" +
+          "Reply DELETE to confirm. Anything else cancels.",
+        buttons: [
+          [
+            { label: "Delete everything", action: "delete:confirm" },
+            { label: "Cancel", action: "delete:cancel" },
+          ],
+        ],
+      },
+    ];
+  }
+
+  // Answer to the /delete question. Returns null when no confirmation is open.
+  function handleDeleteAnswer(user, confirmed) {
+    const asked = user.deleteRequestedAt;
+    if (!asked) return null;
+
+    user.deleteRequestedAt = null;
+    const age = (now().getTime() - new Date(asked).getTime()) / 60000;
+
+    if (!confirmed || age > DELETE_CONFIRM_MINUTES || !deleteAccount) {
+      save(user);
+      return [age > DELETE_CONFIRM_MINUTES ? "Confirmation expired. Nothing deleted." : "Deletion cancelled."];
+    }
+
+    // No save after this point: the record is gone
+    deleteAccount(user);
+    return ["Account deleted.\nAll records erased. No more prompts.\n\nSend /start to enlist again."];
+  }
+
+  async function handleOnboarding(user, value, d) {
+    const step = user.onboardingStep;
+
+    if (step === "name") {
+      user.name = value;
+      user.onboardingStep = "timezone";
+      save(user);
+      return [{ text: say(user, "onboarding.timezone"), buttons: timezoneButtons() }];
+    }
+
+    if (step === "timezone") {
+      const tz = normalizeTimezone(value);
+      if (!tz) {
+        return [{ text: say(user, "onboarding.timezone_invalid"), buttons: timezoneButtons() }];
+      }
+
+      user.timezone = tz;
+      user.onboardingStep = "habits";
+      save(user);
+      return [`${say(user, "onboarding.mission")}\n\n${say(user, "onboarding.mission_hint")}`];
+    }
+
+    if (step === "habits") {
+      if (!setMission(user, value)) return [say(user, "onboarding.mission_hint")];
+      user.onboardingStep = "amTime";
+      save(user);
+      return [{ text: say(user, "onboarding.am_time"), buttons: timeButtons("am") }];
+    }
+
+    if (step === "amTime") {
+      const t = formatTimeString(value);
+      if (!t) return [{ text: say(user, "onboarding.time_invalid"), buttons: timeButtons("am") }];
+
+      user.amTime = t;
+      user.onboardingStep = "pmTime";
+      save(user);
+      return [{ text: say(user, "onboarding.pm_time"), buttons: timeButtons("pm") }];
+    }
+
+    if (step === "pmTime") {
+      const t = formatTimeString(value);
+      if (!t) return [{ text: say(user, "onboarding.time_invalid"), buttons: timeButtons("pm") }];
+
+      user.pmTime = t;
+      user.onboardingStep = null;
+      user.onboarded = true;
+      // Tracking starts tomorrow; close-outs never reach back before this
+      if (!user.onboardedDate) user.onboardedDate = d;
+      if (!user.lastClosedDate) user.lastClosedDate = d;
+      save(user);
+      return [say(user, "onboarding.complete")];
+    }
+
+    return null;
+  }
+
+  // Voice notes arrive transcribed; photos and other media are proof for the day (see media.js).
+  // Returns replies when the media settles the message, null when its text goes on as usual.
+  function handleMedia(user, text, media, d) {
+    if (media.error === "transcription_unavailable") return ["Voice notes are offline. Type it."];
+    if (media.error) return ["Could not make out that voice note. Send it again or type it."];
+    if (!media.proof) return null;
+    if (!user.onboarded) return ["Complete onboarding first. /start"];
+
+    const day = user.logs[d];
+    day.proof = [...(day.proof || []), media.proof];
+    save(user);
+    logger.info({ event: "proof_add", user_key: user.userKey, date: d, kind: media.proof.kind });
+
+    if (text.trim()) return null;
+
+    const owed = { am: "The Dawn Report", pm: "The Nightly Debrief" }[user.pending];
+    const count = `${day.proof.length} item${day.proof.length === 1 ? "" : "s"}`;
+    return [`Proof on record for ${d} (${count}).${owed ? `\n${owed} is still owed. In words.` : ""}`];
+  }
+
+  async function route(user, text, channel, action, media) {
+    const d = todayDate(user.timezone, now());
+    if (!user.logs[d]) user.logs[d] = {};
+
+    if (action) return await handleAction(user, action, d);
+
+    // The message right after /delete is its answer
+    if (user.deleteRequestedAt) {
+      const out = handleDeleteAnswer(user, (text || "").trim().toLowerCase() === "delete");
+      if (out) return out;
+    }
+
+    if (media) {
+      const out = handleMedia(user, text || "", media, d);
+      if (out) return out;
+    }
+    const evidence = media?.evidence || "text";
+
+    const clean = (text || "").trim();
+    const lowered = clean.toLowerCase();
+    // "/start@MindArsenalBot payload" -> "/start"
+    let command = lowered.startsWith("/") ? lowered.split(/\s+/)[0].replace(/@\S+$/, "") : "";
+    if (!command && channel === "whatsapp") command = whatsappCommand(lowered);
+    // Arguments keep their case ("/set name Max")
+    const args = clean.split(/\s+/).slice(1);
+
+    // Stickers, locations, contacts: nothing to file, and never a report
+    if (!clean) return [UNSUPPORTED_MESSAGE];
+
+    // ---------- Start flow ----------
+    const isStart =
+      command === "/start" || (channel === "whatsapp" && WHATSAPP_START_WORDS.includes(lowered));
+
+    if (isStart) {
+      if (user.onboarded) return [enlistedSummary(user)];
+
+      user.onboardingStep = "name";
+      save(user);
+      return [say(user, "welcome"), say(user, "onboarding.start")];
+    }
+
+    if (command === "/onboard") {
+      user.onboardingStep = "name";
+      user.onboarded = false;
+      save(user);
+      return [say(user, "onboarding.reset")];
+    }
+
+    if (command === "/setgoals") {
+      user.pending = "setgoals";
+      save(user);
+      return [`${say(user, "setgoals")}\n\n${say(user, "onboarding.mission_hint")}`];
+    }
+
+    if (command === "/forget") {
+      clearMemory(user);
+      save(user);
+      logger.info({ event: "coach_memory_clear", user_key: user.userKey });
+      return ["Conversation memory wiped.\nYour logs and stats stand."];
+    }
+
+    if (command === "/link" && linker) return handleLink(user, args[0], channel);
+    if (command === "/unlink" && linker) return handleUnlink(user);
+    if (command === "/channel") return handleChannel(user, (args[0] || "").toLowerCase());
+
+    if (command === "/squad" && squads) return handleSquad(user, [(args[0] || "").toLowerCase(), ...args.slice(1)]);
+    if (command === "/persona") return handlePersona(user, (args[0] || "").toLowerCase());
+    if (command === "/export") return handleExport(user, channel);
+    if (command === "/delete") return handleDeleteRequest(user);
+
+    // ---------- Settings ----------
+    const SETTINGS_COMMANDS = ["/settings", "/set", "/pause", "/resume"];
+    if (SETTINGS_COMMANDS.includes(command) && !user.onboarded) return ["Complete onboarding first. /start"];
+
+    if (command === "/settings") return [settingsMessage(user, d)];
+    if (command === "/set") return handleSet(user, [(args[0] || "").toLowerCase(), ...args.slice(1)]);
+    if (command === "/pause") return handlePause(user, args.map((a) => a.toLowerCase()), d);
+    if (command === "/resume") return handleResume(user, d);
+
+    // Remaining Telegram slash commands are served by the Telegram adapter
+    if (channel === "telegram" && command) return [];
+
+    // ---------- Onboarding flow ----------
+    if (user.onboardingStep) {
+      const out = await handleOnboarding(user, clean, d);
+      if (out) return out;
+    }
+
+    // ---------- Pending flows ----------
+    if (user.pending === "setgoals") {
+      if (!setMission(user, clean)) return [say(user, "onboarding.mission_hint")];
+      user.pending = null;
+      save(user);
+      return [say(user, "setgoals.updated")];
+    }
+
+    if (user.pending === "am") {
+      if (lowered === "carry") return handleCarry(user, d);
+
+      const { objectives: split, listed } = splitObjectives(clean);
+      const extracted = listed || !extractObjectives ? null : await extractObjectives(user, clean);
+      const objectives = (extracted || split).map((text) => ({ text }));
+
+      user.logs[d].am = { text: clean, timestamp: now().toISOString(), evidence, objectives };
+      user.pending = null;
+      save(user);
+
+      logger.info({ event: "am_reply", user_key: user.userKey, date: d, evidence, objectives: objectives.length });
+      return [amLogged(user, objectives)];
+    }
+
+    if (user.pending === "pm") {
+      const habits = habitsOf(user);
+      const { results: parsed } = parseHabitResults(clean, habits);
+      // Results already given with the buttons stand unless the text overrides them
+      const results = { ...user.logs[d].pmHabitsDraft, ...parsed };
+      delete user.logs[d].pmHabitsDraft;
+      user.logs[d].pm = { text: clean, timestamp: now().toISOString(), evidence, habits: results };
+
+      const missing = habits.filter((h) => !results[h.id]);
+      if (missing.length) {
+        // One more round for the habit results; the debrief text is already on record
+        user.pending = "pm_habits";
+        user.pendingDate = d;
+        save(user);
+        return [
+          {
+            text:
+              "Debrief noted. Now the habits — done, partial or skipped?\n\n" +
+              missing.map((h) => `${habits.indexOf(h) + 1}. ${h.name}`).join("\n") +
+              `\n\nExample: ${habits.indexOf(missing[0]) + 1} done`,
+            buttons: habitButtons(missing),
+          },
+        ];
+      }
+
+      return await finishDebrief(user, d);
+    }
+
+    if (user.pending === "pm_objectives") {
+      const date = user.pendingDate && user.logs[user.pendingDate]?.am ? user.pendingDate : d;
+      const objectives = objectivesOf(user.logs[date]);
+      applyObjectiveResults(objectives, clean);
+
+      // Unreported counts as skipped
+      objectives.forEach((o) => {
+        if (!o.result) o.result = "skipped";
+      });
+      return await finishDebrief(user, date);
+    }
+
+    if (user.pending === "pm_habits") {
+      const date = user.pendingDate && user.logs[user.pendingDate]?.pm ? user.pendingDate : d;
+      const pm = user.logs[date].pm || (user.logs[date].pm = { text: "", timestamp: now().toISOString() });
+      const habits = habitsOf(user);
+      const { results } = parseHabitResults(clean, habits);
+
+      // Unreported counts as skipped
+      pm.habits = { ...pm.habits, ...results };
+      habits.forEach((h) => {
+        if (!pm.habits[h.id]) pm.habits[h.id] = "skipped";
+      });
+
+      return await finishDebrief(user, date);
+    }
+
+    // ---------- AI fallback ----------
+    const reply = await coachReply(user, clean);
+    save(user); // conversation memory
+    return [reply];
+  }
+
+  // The close-out ends a debrief left in its habit or objective round: whatever was not
+  // reported counts as skipped, and the tally and audit go out as usual.
+  async function closeDebrief(user) {
+    const date = user.pendingDate;
+    const pm = date && user.logs[date]?.pm;
+    user.pending = null;
+    user.pendingDate = null;
+    if (!pm) {
+      save(user);
+      return [];
+    }
+
+    pm.habits = { ...pm.habits };
+    habitsOf(user).forEach((h) => {
+      if (!pm.habits[h.id]) pm.habits[h.id] = "skipped";
+    });
+    openObjectives(user, date).forEach((o) => {
+      o.result = "skipped";
+    });
+
+    logger.info({ event: "debrief_close", user_key: user.userKey, date });
+    const [tally] = await finishDebrief(user, date);
+    return [{ text: `Debrief for ${date} closed at the day's end. Unreported counts as skipped.\n\n${tally}` }];
+  }
+
+  // Returns [{ text, buttons? }] in send order. Empty when there is nothing to say.
+  // `action` is set instead of `text` when a quick-reply button was used.
+  // `media` is set for voice notes and attachments: { evidence, proof?, error? } (see media.js).
+  async function handle(user, text, { channel, action = null, media = null } = {}) {
+    const out = await route(user, text, channel, action, media);
+    return out.map((m) => (typeof m === "string" ? { text: m } : m));
+  }
+
+  return { handle, closeDebrief };
+}
+
+module.exports = { createEngine, displayName, enlistedSummary };
@@ -0,0 +1,84 @@
+// export.js
+// Download links for a trainee's own data (the JSON and CSV files come from exportfiles.js).
+//
+// Telegram gets both files as documents. WhatsApp cannot receive arbitrary files from a
+// text reply, so it gets a download link instead:
+//   GET /exports/:token/mindarsenal.json | mindarsenal.csv
+// Tokens live in runtime.exportTokens = { [token]: { userKey, expiresAt } } and expire
+// after EXPORT_LINK_MINUTES (default 60). Files are built at download time.
+
+const crypto = require("crypto");
+const express = require("express");
+
+const { exportFiles } = require("./exportfiles");
+
+const EXPORT_LINK_MINUTES = Number(process.env.EXPORT_LINK_MINUTES) || 60;
+
+// deps:
+//   users          live user map
+//   runtime        live runtime object (download tokens)
+//   publicUrl      PUBLIC_URL; links are unavailable without it
+//   onChange()     persist runtime
+//   logger
+//   now()
+function createExporter({ users, runtime, publicUrl, onChange, logger, now = () => new Date() }) {
+  if (!runtime.exportTokens) runtime.exportTokens = {};
+
+  function pruneTokens() {
+    const t = now().getTime();
+    Object.entries(runtime.exportTokens).forEach(([token, entry]) => {
+      if (new Date(entry.expiresAt).getTime() <= t) delete runtime.exportTokens[token];
+    });
+  }
+
+  // -> { urls: [json, csv], expiresAt, ttlMinutes } or null when PUBLIC_URL is not set
+  function issueLink(user) {
+    if (!publicUrl) return null;
+    pruneTokens();
+
+    const token = crypto.randomBytes(24).toString("hex");
+    const expiresAt = new Date(now().getTime() + EXPORT_LINK_MINUTES * 60000).toISOString();
+    runtime.exportTokens[token] = { userKey: user.userKey, expiresAt };
+    onChange();
+
+    logger.info({ event: "export_link_issue", user_key: user.userKey, expires_at: expiresAt });
+
+    const base = `${publicUrl.replace(/\/+$/, "")}/exports/${token}`;
+    return {
+      urls: [`${base}/mindarsenal.json`, `${base}/mindarsenal.csv`],
+      expiresAt,
+      ttlMinutes: EXPORT_LINK_MINUTES,
+    };
+  }
+
+  // Drop every link of a user (account deletion).
+  function revoke(userKey) {
+    Object.entries(runtime.exportTokens).forEach(([token, entry]) => {
+      if (entry.userKey === userKey) delete runtime.exportTokens[token];
+    });
+    onChange();
+  }
+
+  const router = express.Router();
+
+  router.get("/:token/:file", (req, res) => {
+    pruneTokens();
+
+    const entry = runtime.exportTokens[req.params.token];
+    const user = entry && users[entry.userKey];
+    const file = user && exportFiles(user, now()).find((f) => f.filename === req.params.file);
+
+    if (!file) {
+      logger.warn({ event: "export_download_reject", ip: req.ip });
+      return res.status(404).type("text/plain").send("Link expired or invalid.");
+    }
+
+    logger.info({ event: "export_download", user_key: user.userKey, file: file.filename });
+    res.set("Cache-Control", "no-store");
+    res.attachment(file.filename).type(file.contentType).send(file.content);
+  });
+
+  return { issueLink, revoke, router };
+}
+
+module.exports = { createExporter };
@@ -0,0 +1,77 @@
+// exportfiles.js
+// A trainee's own data as files: profile, daily logs and stats, as JSON and CSV.
+// No HTTP here, so the engine can hand the files to Telegram directly (see export.js for the links).
+
+const { habitsOf } = require("./habits");
+
+const CSV_COLUMNS = [
+  "date",
+  "dawn_report",
+  "dawn_report_at",
+  "dawn_report_via",
+  "objectives",
+  "nightly_debrief",
+  "nightly_debrief_at",
+  "nightly_debrief_via",
+  "proof",
+  "habits",
+  "score",
+  "correction",
+  "followups",
+  "failed",
+  "paused",
+];
+
+function exportJson(user, now = new Date()) {
+  const { logs, stats, habitStats, quickReplies, ...profile } = user;
+  return JSON.stringify({ exportedAt: now.toISOString(), profile, stats, habitStats, logs }, null, 2);
+}
+
+function csvCell(value) {
+  const s = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per logged day, oldest first.
+function exportCsv(user) {
+  const habits = habitsOf(user);
+  const habitName = (id) => habits.find((h) => h.id === id)?.name || id;
+
+  const rows = Object.keys(user.logs)
+    .sort()
+    .map((date) => {
+      const day = user.logs[date];
+      const results = Object.entries(day.pm?.habits || {})
+        .map(([id, r]) => `${habitName(id)}: ${r}`)
+        .join("; ");
+
+      return [
+        date,
+        day.am?.text,
+        day.am?.timestamp,
+        day.am?.evidence,
+        (day.am?.objectives || []).map((o) => `${o.text}: ${o.result || "open"}`).join("; "),
+        day.pm?.text,
+        day.pm?.timestamp,
+        day.pm?.evidence,
+        (day.proof || []).map((p) => p.kind).join("; "),
+        results,
+        day.pm?.analysis?.score,
+        day.pm?.analysis?.correction,
+        (day.followups || []).length,
+        day.failed ? "yes" : "",
+        day.paused ? "yes" : "",
+      ];
+    });
+
+  return [CSV_COLUMNS, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function exportFiles(user, now = new Date()) {
+  return [
+    { filename: "mindarsenal.json", contentType: "application/json", content: exportJson(user, now) },
+    { filename: "mindarsenal.csv", contentType: "text/csv", content: exportCsv(user) },
+  ];
+}
+
+module.exports = { exportFiles, exportJson, exportCsv };
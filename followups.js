@@ -0,0 +1,91 @@
+// followups.js
+// Escalation ladder for unanswered AM/PM prompts.
+//
+// FOLLOWUP_MINUTES  minutes after a prompt at which to nudge, e.g. "60,180"
+// DAY_CUTOFF_TIME   default local HH:MM after which an unanswered day is marked failed
+//                   (per-user override: user.cutoffTime). A cutoff that is not after a prompt's
+//                   time never fails that prompt; the day's close-out counts it instead.
+//
+// Everything sent is recorded on the day's log:
+//   day.followups = [{ kind: "am" | "pm", step, at }]
+//   day.failed    = { at, missing: ["am", "pm"] }
+//
+// A snoozed prompt (day.snooze = { kind, until }) is not chased until `until`; then it
+// comes back once and the ladder restarts its clock from there (day.amSnoozedUntil / pmSnoozedUntil).
+//
+// Texts are persona templates: nudge.<kind>.<step>, snooze_over.<kind>, failed, failed.<kind>.
+
+const { formatTimeString } = require("./time");
+
+const FOLLOWUP_MINUTES = (process.env.FOLLOWUP_MINUTES || "60,180")
+  .split(",")
+  .map((s) => Number(s.trim()))
+  .filter((n) => Number.isFinite(n) && n > 0)
+  .sort((a, b) => a - b);
+
+const DAY_CUTOFF_TIME = formatTimeString(process.env.DAY_CUTOFF_TIME || "") || "23:30";
+
+// Nudge templates per kind; the last one repeats if more steps are configured.
+const NUDGE_STEPS = 3;
+
+function cutoffFor(user) {
+  return formatTimeString(user.cutoffTime || "") || DAY_CUTOFF_TIME;
+}
+
+function failedText(missing, say) {
+  return say("failed", { missing: missing.map((k) => say(`failed.${k}`)).join(".\n") });
+}
+
+// Advance the ladder for one user's day. Mutates `day` and `user.pending`,
+// returns the messages to send (possibly none).
+//   now   Date
+//   time  the user's local "HH:MM"
+//   say(key, vars?)   the user's persona text
+function checkFollowUps(user, day, { now, time, say }) {
+  if (day.failed) return [];
+
+  const cutoff = cutoffFor(user);
+  if (time >= cutoff) {
+    const missing = ["am", "pm"].filter((k) => day[`${k}PromptSent`] && !day[k] && cutoff > user[`${k}Time`]);
+
+    if (missing.length) {
+      day.failed = { at: now.toISOString(), missing };
+      if (user.pending === "am" || user.pending === "pm") user.pending = null;
+      return [failedText(missing, say)];
+    }
+  }
+
+  const out = [];
+
+  for (const kind of ["am", "pm"]) {
+    // Only the prompt the user can still answer gets chased
+    if (user.pending !== kind || day[kind]) continue;
+
+    if (day.snooze?.kind === kind) {
+      if (now < new Date(day.snooze.until)) continue;
+
+      // Nudge timing restarts from the end of the snooze
+      day[`${kind}SnoozedUntil`] = day.snooze.until;
+      delete day.snooze;
+      out.push(say(`snooze_over.${kind}`));
+      continue;
+    }
+
+    const sentAt = day[`${kind}SnoozedUntil`] || day[`${kind}PromptAt`];
+    if (!sentAt) continue;
+
+    const waited = (now.getTime() - new Date(sentAt).getTime()) / 60000;
+    const done = (day.followups || []).filter((f) => f.kind === kind).length;
+    const due = FOLLOWUP_MINUTES.filter((m) => waited >= m).length;
+
+    if (due > done) {
+      const step = done + 1;
+      out.push(say(`nudge.${kind}.${Math.min(step, NUDGE_STEPS)}`));
+      day.followups = [...(day.followups || []), { kind, step, at: now.toISOString() }];
+    }
+  }
+
+  return out;
+}
+
+module.exports = { checkFollowUps, cutoffFor, FOLLOWUP_MINUTES };
@@ -0,0 +1,170 @@
+// habits.js
+// Structured habits: user.habits = [{ id, name, frequency }]
+//   frequency = { type: "daily" } | { type: "weekly", times: N }
+// Nightly results land in logs[date].pm.habits = { [id]: "done" | "partial" | "skipped" }
+// and are totalled in user.habitStats = { [id]: { done, partial, skipped } }.
+
+const { shiftDate } = require("./time");
+
+const MAX_HABITS = 10;
+
+const WEEKLY_RE = /\b(\d)\s*(?:x|times?)?\s*(?:\/|per|a)\s*(?:w|wk|week)\b/i;
+const DAILY_RE = /\b(?:daily|every\s*day|each\s*day)\b/i;
+
+// "Train 4x/week" -> { name: "Train", frequency: { type: "weekly", times: 4 } }
+function parseHabitLine(line) {
+  let name = line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, "").trim();
+  let frequency = { type: "daily" };
+
+  const weekly = name.match(WEEKLY_RE);
+  if (weekly) {
+    const times = Number(weekly[1]);
+    if (times >= 1 && times < 7) frequency = { type: "weekly", times };
+    name = name.replace(WEEKLY_RE, "");
+  } else {
+    name = name.replace(DAILY_RE, "");
+  }
+
+  name = name.replace(/[\s,;:()–—-]+$/g, "").replace(/^[\s,;:()–—-]+/g, "").replace(/\(\s*\)/g, "").trim();
+  return name ? { name, frequency } : null;
+}
+
+// One habit per line; a single line may be comma/semicolon separated.
+function parseHabits(text) {
+  const raw = String(text || "").trim();
+  let lines = raw.split(/\n+/);
+  if (lines.length === 1) lines = raw.split(/[;,]|\s+\d+[.)]\s+/);
+
+  return lines.map(parseHabitLine).filter(Boolean).slice(0, MAX_HABITS);
+}
+
+function frequencyLabel(frequency) {
+  return frequency?.type === "weekly" ? `${frequency.times}x/week` : "daily";
+}
+
+function formatHabitList(habits) {
+  return habits.map((h, i) => `${i + 1}. ${h.name} (${frequencyLabel(h.frequency)})`).join("\n");
+}
+
+// Replace the user's habits from free text. Habits whose name survives keep
+// their id, so history and stats stay attached.
+function setHabitsFromText(user, text) {
+  const parsed = parseHabits(text);
+  const existing = new Map((user.habits || []).map((h) => [h.name.toLowerCase(), h]));
+  let seq = user.habitSeq || 0;
+
+  user.habits = parsed.map((p) => {
+    const prev = existing.get(p.name.toLowerCase());
+    if (prev) return { ...prev, frequency: p.frequency };
+    seq++;
+    return { id: `h${seq}`, name: p.name, frequency: p.frequency };
+  });
+
+  user.habitSeq = seq;
+  if (!user.habitStats) user.habitStats = {};
+  user.habits.forEach((h) => {
+    if (!user.habitStats[h.id]) user.habitStats[h.id] = { done: 0, skipped: 0 };
+  });
+
+  user.habitsText = text;
+  user.goalsText = user.habits.length ? formatHabitList(user.habits) : text;
+  return user.habits;
+}
+
+// Profiles from before structured habits only carry goalsText.
+function habitsOf(user) {
+  if (!user.habits && (user.habitsText || user.goalsText)) {
+    setHabitsFromText(user, user.habitsText || user.goalsText);
+  }
+  return user.habits || [];
+}
+
+const DONE_WORDS = ["done", "d", "yes", "y", "1", "✓", "✅", "ok"];
+const SKIP_WORDS = ["skipped", "skip", "s", "no", "n", "0", "x", "✗", "❌", "missed"];
+const PARTIAL_WORDS = ["partial", "part", "p", "half", "½", "~"];
+
+function toResult(word) {
+  const w = word.toLowerCase();
+  if (DONE_WORDS.includes(w)) return "done";
+  if (SKIP_WORDS.includes(w)) return "skipped";
+  if (PARTIAL_WORDS.includes(w)) return "partial";
+  return null;
+}
+
+// Accepts "1 done, 2 skipped", "1y 2n", or positional "y n y" / "done skipped done"
+// on the first line. Returns { results: { [id]: "done" | "partial" | "skipped" }, rest }.
+function parseHabitResults(text, habits) {
+  const results = {};
+  const clean = String(text || "").trim();
+  if (!habits.length || !clean) return { results, rest: clean };
+
+  const [first, ...more] = clean.split("\n");
+
+  const numbered = [...first.matchAll(/(\d+)\s*[:.)=-]?\s*([a-z✓✗✅❌½~]+)/gi)];
+  const numberedHits = numbered.filter((m) => habits[Number(m[1]) - 1] && toResult(m[2]));
+  if (numberedHits.length) {
+    numberedHits.forEach((m) => {
+      results[habits[Number(m[1]) - 1].id] = toResult(m[2]);
+    });
+    return { results, rest: more.join("\n").trim() };
+  }
+
+  const tokens = first.split(/[\s,;/]+/).filter(Boolean);
+  if (tokens.length === habits.length && tokens.every(toResult)) {
+    tokens.forEach((t, i) => {
+      results[habits[i].id] = toResult(t);
+    });
+    return { results, rest: more.join("\n").trim() };
+  }
+
+  return { results, rest: clean };
+}
+
+function recordHabitResults(user, results) {
+  if (!user.habitStats) user.habitStats = {};
+  for (const [id, result] of Object.entries(results)) {
+    const s = user.habitStats[id] || (user.habitStats[id] = { done: 0, skipped: 0 });
+    const key = result === "done" || result === "partial" ? result : "skipped";
+    s[key] = (s[key] || 0) + 1;
+  }
+}
+
+function habitChecklist(user) {
+  const habits = habitsOf(user);
+  if (!habits.length) return "";
+
+  return (
+    "Habits:\n" +
+    habits.map((h, i) => `${i + 1}. ${h.name}`).join("\n") +
+    "\n\nFirst line: result per habit (done / partial / skipped).\nExample: 1 done, 2 partial, 3 skipped"
+  );
+}
+
+// Per-habit execution over the 7 days ending `todayStr`, weakest first.
+// A partial day counts as half.
+function weeklyHabitSummary(user, todayStr) {
+  return habitsOf(user)
+    .map((h) => {
+      let done = 0;
+      for (let i = 0; i < 7; i++) {
+        const r = user.logs[shiftDate(todayStr, -i)]?.pm?.habits?.[h.id];
+        if (r === "done") done++;
+        else if (r === "partial") done += 0.5;
+      }
+      const target = h.frequency?.type === "weekly" ? h.frequency.times : 7;
+      return { id: h.id, name: h.name, done, target, ratio: done / target };
+    })
+    .sort((a, b) => a.ratio - b.ratio);
+}
+
+module.exports = {
+  parseHabits,
+  setHabitsFromText,
+  habitsOf,
+  formatHabitList,
+  frequencyLabel,
+  parseHabitResults,
+  recordHabitResults,
+  habitChecklist,
+  weeklyHabitSummary,
+};
@@ -0,0 +1,213 @@
+// linking.js
+// One trainee, two apps: link a Telegram and a WhatsApp identity into one account.
+//
+// /link on one channel issues a one-time code; /link <code> on the other redeems it.
+// The two profiles are merged (logs, habits, stats) and the leftover record is removed.
+// Later messages from either channel resolve to the merged account by channel id.
+//
+// Pending codes live in runtime.linkCodes = { [code]: { userKey, channel, expiresAt } }.
+
+const crypto = require("crypto");
+
+const { recalcStats, trackingStart } = require("./stats");
+const { todayDate } = require("./time");
+
+const CODE_TTL_MINUTES = 10;
+const CHANNELS = ["telegram", "whatsapp"];
+
+function channelIdField(channel) {
+  return channel === "telegram" ? "telegramChatId" : "whatsappFrom";
+}
+
+// The channel baked into the user key ("tg:..." / "wa:...") can never be unlinked.
+function homeChannel(user) {
+  return user.userKey.startsWith("tg:") ? "telegram" : "whatsapp";
+}
+
+function linkedChannels(user) {
+  return CHANNELS.filter((c) => user[channelIdField(c)]);
+}
+
+// Channels for scheduled sends: the preferred one if it is still linked, else all.
+function preferredChannels(user) {
+  const linked = linkedChannels(user);
+  return user.preferredChannel && linked.includes(user.preferredChannel) ? [user.preferredChannel] : linked;
+}
+
+function mergeDay(into, from) {
+  const merged = { ...from, ...into };
+  for (const k of ["am", "pm", "amPromptSent", "pmPromptSent", "amPromptAt", "pmPromptAt", "amPromptQueued", "pmPromptQueued", "failed"]) {
+    if (!into[k] && from[k]) merged[k] = from[k];
+  }
+  if (into.followups || from.followups) merged.followups = [...(into.followups || []), ...(from.followups || [])];
+  return merged;
+}
+
+// Fold `other` into `primary`. Habit ids are remapped by name so results never
+// land on the wrong habit. Stats are rebuilt as of `now`.
+function mergeUsers(primary, other, now = new Date()) {
+  for (const c of CHANNELS) {
+    const field = channelIdField(c);
+    if (!primary[field] && other[field]) primary[field] = other[field];
+  }
+
+  for (const field of ["name", "firstName", "timezone"]) {
+    if (!primary[field] && other[field]) primary[field] = other[field];
+  }
+
+  const habits = primary.habits || (primary.habits = []);
+  const habitStats = primary.habitStats || (primary.habitStats = {});
+  let seq = primary.habitSeq || 0;
+  const idMap = {};
+
+  (other.habits || []).forEach((h) => {
+    const same = habits.find((p) => p.name.toLowerCase() === h.name.toLowerCase());
+    if (same) {
+      idMap[h.id] = same.id;
+    } else {
+      seq++;
+      idMap[h.id] = `h${seq}`;
+      habits.push({ ...h, id: `h${seq}` });
+    }
+
+    const from = other.habitStats?.[h.id];
+    if (from) {
+      const into = habitStats[idMap[h.id]] || (habitStats[idMap[h.id]] = { done: 0, skipped: 0 });
+      into.done += from.done || 0;
+      into.skipped += from.skipped || 0;
+      if (from.partial) into.partial = (into.partial || 0) + from.partial;
+    }
+  });
+  primary.habitSeq = seq;
+
+  for (const [date, day] of Object.entries(other.logs || {})) {
+    const copy = { ...day };
+    const remap = (results) => {
+      const remapped = {};
+      Object.entries(results).forEach(([id, r]) => {
+        remapped[idMap[id] || id] = r;
+      });
+      return remapped;
+    };
+    if (copy.pm?.habits) copy.pm = { ...copy.pm, habits: remap(copy.pm.habits) };
+    if (copy.pmHabitsDraft) copy.pmHabitsDraft = remap(copy.pmHabitsDraft);
+    primary.logs[date] = primary.logs[date] ? mergeDay(primary.logs[date], copy) : copy;
+  }
+
+  // History from the other profile counts from its own start
+  const otherStart = trackingStart(other);
+  if (otherStart && primary.onboardedDate && otherStart < primary.onboardedDate) {
+    primary.onboardedDate = otherStart;
+  }
+
+  recalcStats(primary, todayDate(primary.timezone, now));
+  primary.stats.streakBest = Math.max(primary.stats.streakBest, other.stats?.streakBest || 0);
+  return primary;
+}
+
+// deps:
+//   users               live user map
+//   runtime             live runtime object (pending codes)
+//   saveUser(user)
+//   removeUser(userKey) delete from the map and from storage
+//   onMerge(primary, other)  optional; move anything else keyed by the removed record
+//   onChange()          persist runtime
+//   logger
+//   now()
+function createLinker({
+  users,
+  runtime,
+  saveUser,
+  removeUser,
+  onMerge = null,
+  onChange,
+  logger,
+  now = () => new Date(),
+}) {
+  if (!runtime.linkCodes) runtime.linkCodes = {};
+
+  function pruneCodes() {
+    const t = now().getTime();
+    Object.entries(runtime.linkCodes).forEach(([code, entry]) => {
+      if (new Date(entry.expiresAt).getTime() <= t) delete runtime.linkCodes[code];
+    });
+  }
+
+  function issue(user, channel) {
+    pruneCodes();
+
+    // One live code per account
+    Object.entries(runtime.linkCodes).forEach(([code, entry]) => {
+      if (entry.userKey === user.userKey) delete runtime.linkCodes[code];
+    });
+
+    let code;
+    do {
+      code = String(crypto.randomInt(100000, 1000000));
+    } while (runtime.linkCodes[code]);
+
+    const expiresAt = new Date(now().getTime() + CODE_TTL_MINUTES * 60000).toISOString();
+    runtime.linkCodes[code] = { userKey: user.userKey, channel, expiresAt };
+    onChange();
+
+    logger.info({ event: "link_code_issue", user_key: user.userKey, channel });
+    return { code, expiresAt, ttlMinutes: CODE_TTL_MINUTES };
+  }
+
+  // Returns { user } (the merged account) or { error }.
+  function redeem(user, channel, code) {
+    pruneCodes();
+
+    const entry = runtime.linkCodes[String(code || "").trim()];
+    if (!entry) return { error: "invalid_code" };
+
+    const issuer = users[entry.userKey];
+    if (!issuer) return { error: "invalid_code" };
+    if (issuer === user) return { error: "same_account" };
+    if (entry.channel === channel || issuer[channelIdField(channel)]) return { error: "same_channel" };
+    if (linkedChannels(user).length > 1) return { error: "already_linked" };
+
+    delete runtime.linkCodes[String(code).trim()];
+
+    // Keep the enlisted profile if only one of them finished onboarding
+    const [primary, other] = !issuer.onboarded && user.onboarded ? [user, issuer] : [issuer, user];
+    mergeUsers(primary, other, now());
+    if (onMerge) onMerge(primary, other);
+
+    removeUser(other.userKey);
+    saveUser(primary);
+    onChange();
+
+    logger.info({
+      event: "account_link",
+      user_key: primary.userKey,
+      merged_from: other.userKey,
+      channels: linkedChannels(primary),
+    });
+    return { user: primary };
+  }
+
+  // Detach the secondary channel. Its next message starts a fresh profile.
+  function unlink(user) {
+    const secondary = CHANNELS.find((c) => c !== homeChannel(user) && user[channelIdField(c)]);
+    if (!secondary) return { error: "not_linked" };
+
+    user[channelIdField(secondary)] = null;
+    if (user.preferredChannel === secondary) user.preferredChannel = null;
+    saveUser(user);
+
+    logger.info({ event: "account_unlink", user_key: user.userKey, channel: secondary });
+    return { channel: secondary };
+  }
+
+  return { issue, redeem, unlink };
+}
+
+module.exports = {
+  createLinker,
+  mergeUsers,
+  linkedChannels,
+  preferredChannels,
+  homeChannel,
+  channelIdField,
+};
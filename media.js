@@ -0,0 +1,148 @@
+// media.js
+// Voice notes and photos as check-ins.
+//
+// Voice notes (Telegram voice/audio, WhatsApp audio/*) are transcribed through OpenAI
+// (OPENAI_TRANSCRIBE_MODEL, default whisper-1) and handled as if typed.
+// Anything else with media is proof. A reference goes on the day's log,
+//   logs[date].proof = [{ kind: "photo" | "video" | "file", channel, fileId | url, contentType, caption, at }]
+// and the caption, if any, is handled as the message. Telegram file ids and Twilio media URLs
+// stay fetchable at the source, so no bytes are stored here.
+// The Dawn Report / Nightly Debrief records how it came in: am.evidence / pm.evidence =
+// "text" | "voice" | "photo" | "video" | "file".
+
+const { toFile } = require("openai");
+
+const TRANSCRIBE_MODEL = process.env.OPENAI_TRANSCRIBE_MODEL || "whisper-1";
+// OpenAI's upload limit
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+const AUDIO_EXTENSIONS = {
+  "audio/ogg": "ogg",
+  "audio/opus": "ogg",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/aac": "m4a",
+  "audio/wav": "wav",
+  "audio/webm": "webm",
+};
+
+function kindOf(contentType = "") {
+  if (contentType.startsWith("audio/")) return "voice";
+  if (contentType.startsWith("image/")) return "photo";
+  if (contentType.startsWith("video/")) return "video";
+  return "file";
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+// deps:
+//   openai       OpenAI client, or null (voice notes are refused)
+//   telegram     node-telegram-bot-api instance, or null
+//   twilioAuth   { accountSid, authToken }; Twilio media URLs need basic auth
+//   logger
+//   now()
+//
+// fromTelegram / fromWhatsApp resolve to null for plain text, else
+//   { text, media: { evidence, proof?, error? } }
+// where error is "transcription_unavailable" or "transcription_failed".
+function createMedia({ openai, telegram, twilioAuth = {}, logger, now = () => new Date() }) {
+  async function transcribe(userKey, audio, contentType) {
+    if (audio.length > MAX_AUDIO_BYTES) throw new Error(`audio too large (${audio.length} bytes)`);
+
+    const base = contentType.split(";")[0].trim();
+    const file = await toFile(audio, `voice.${AUDIO_EXTENSIONS[base] || "ogg"}`, { type: base });
+    const res = await openai.audio.transcriptions.create({ file, model: TRANSCRIBE_MODEL });
+
+    logger.info({ event: "voice_transcribe", user_key: userKey, bytes: audio.length, text_len: res.text.length });
+    return res.text.trim();
+  }
+
+  // `download()` resolves to the audio bytes
+  async function voice(userKey, download, contentType) {
+    if (!openai) {
+      logger.warn({ event: "openai_missing", user_key: userKey, purpose: "transcription" });
+      return { text: "", media: { evidence: "voice", error: "transcription_unavailable" } };
+    }
+
+    try {
+      const text = await transcribe(userKey, await download(), contentType);
+      if (!text) return { text: "", media: { evidence: "voice", error: "transcription_failed" } };
+      return { text, media: { evidence: "voice" } };
+    } catch (err) {
+      logger.error({
+        event: "openai_error",
+        user_key: userKey,
+        purpose: "transcription",
+        err: err?.message || String(err),
+      });
+      return { text: "", media: { evidence: "voice", error: "transcription_failed" } };
+    }
+  }
+
+  function proof(kind, channel, ref, contentType, caption) {
+    const text = (caption || "").trim();
+    return {
+      text,
+      media: {
+        evidence: kind,
+        proof: { kind, channel, ...ref, contentType, caption: text || null, at: now().toISOString() },
+      },
+    };
+  }
+
+  async function fromTelegram(msg, userKey) {
+    const audio = msg.voice || msg.audio;
+    if (audio) {
+      return voice(
+        userKey,
+        () => streamToBuffer(telegram.getFileStream(audio.file_id)),
+        audio.mime_type || "audio/ogg"
+      );
+    }
+
+    // Photos come in several sizes; the last is the largest
+    if (msg.photo?.length) {
+      return proof("photo", "telegram", { fileId: msg.photo.at(-1).file_id }, "image/jpeg", msg.caption);
+    }
+    if (msg.video) return proof("video", "telegram", { fileId: msg.video.file_id }, msg.video.mime_type, msg.caption);
+    if (msg.document) {
+      const type = msg.document.mime_type || "application/octet-stream";
+      // Audio sent as a file is kept, not transcribed
+      const kind = kindOf(type) === "voice" ? "file" : kindOf(type);
+      return proof(kind, "telegram", { fileId: msg.document.file_id }, type, msg.caption);
+    }
+    return null;
+  }
+
+  // Twilio webhook fields: NumMedia, MediaUrl0, MediaContentType0 (only the first item is read)
+  async function fromWhatsApp(body, userKey) {
+    if (!(Number(body.NumMedia) > 0) || !body.MediaUrl0) return null;
+
+    const url = body.MediaUrl0;
+    const type = body.MediaContentType0 || "application/octet-stream";
+
+    if (kindOf(type) !== "voice") return proof(kindOf(type), "whatsapp", { url }, type, body.Body);
+
+    return voice(
+      userKey,
+      async () => {
+        const { accountSid, authToken } = twilioAuth;
+        const headers = accountSid
+          ? { Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}` }
+          : {};
+        const res = await fetch(url, { headers });
+        if (!res.ok) throw new Error(`media download failed: HTTP ${res.status}`);
+        return Buffer.from(await res.arrayBuffer());
+      },
+      type
+    );
+  }
+
+  return { fromTelegram, fromWhatsApp };
+}
+
+module.exports = { createMedia, kindOf, TRANSCRIBE_MODEL };
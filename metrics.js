@@ -0,0 +1,144 @@
+// metrics.js
+// Prometheus metrics, served as text on GET /metrics.
+//
+//   mindarsenal_send_ok_total{channel}                  messages delivered
+//   mindarsenal_send_err_total{channel}                 send attempts that failed
+//   mindarsenal_inbound_messages_total{channel}         messages and button presses received
+//   mindarsenal_telegram_polling_errors_total
+//   mindarsenal_openai_request_duration_seconds{endpoint}   histogram; endpoint = chat | transcription
+//   mindarsenal_openai_errors_total{endpoint}
+//   mindarsenal_job_last_run_age_seconds{job}           from runtime.jobs, read at scrape time
+//   mindarsenal_users{state}                            onboarded, or the onboarding step they are on
+//
+// Counters live in memory and restart with the process; runtime.counters keeps the persisted totals.
+
+const OPENAI_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// name -> { help, type, series: Map(labelString -> value) }
+function family(help, type) {
+  return { help, type, series: new Map() };
+}
+
+// deps:
+//   runtime   jobs are read from runtime.jobs
+//   users     { [userKey]: user }
+//   now()
+function createMetrics({ runtime, users, now = () => new Date() }) {
+  const counters = {
+    mindarsenal_send_ok_total: family("Messages delivered, by channel.", "counter"),
+    mindarsenal_send_err_total: family("Failed send attempts, by channel.", "counter"),
+    mindarsenal_inbound_messages_total: family("Inbound messages and button presses, by channel.", "counter"),
+    mindarsenal_telegram_polling_errors_total: family("Telegram polling errors.", "counter"),
+    mindarsenal_openai_errors_total: family("Failed OpenAI requests, by endpoint.", "counter"),
+  };
+  // endpoint -> { buckets: [count per OPENAI_BUCKETS], sum, count }
+  const openaiLatency = new Map();
+
+  function inc(name, labels = {}) {
+    const { series } = counters[name];
+    const key = labelString(labels);
+    series.set(key, (series.get(key) || 0) + 1);
+  }
+
+  function countSend(channel, ok) {
+    inc(ok ? "mindarsenal_send_ok_total" : "mindarsenal_send_err_total", { channel });
+  }
+
+  function countInbound(channel) {
+    inc("mindarsenal_inbound_messages_total", { channel });
+  }
+
+  function countPollingError() {
+    inc("mindarsenal_telegram_polling_errors_total");
+  }
+
+  function observeOpenAI(endpoint, seconds, ok) {
+    if (!openaiLatency.has(endpoint)) {
+      openaiLatency.set(endpoint, { buckets: OPENAI_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+    const h = openaiLatency.get(endpoint);
+    OPENAI_BUCKETS.forEach((le, i) => {
+      if (seconds <= le) h.buckets[i]++;
+    });
+    h.sum += seconds;
+    h.count++;
+    if (!ok) inc("mindarsenal_openai_errors_total", { endpoint });
+  }
+
+  // Same client shape for the calls this app makes, timed. null stays null.
+  function instrumentOpenAI(openai) {
+    if (!openai) return null;
+
+    const timed = (endpoint, call) => async (request) => {
+      const started = process.hrtime.bigint();
+      let ok = false;
+      try {
+        const res = await call(request);
+        ok = true;
+        return res;
+      } finally {
+        observeOpenAI(endpoint, Number(process.hrtime.bigint() - started) / 1e9, ok);
+      }
+    };
+
+    return {
+      chat: { completions: { create: timed("chat", (r) => openai.chat.completions.create(r)) } },
+      audio: { transcriptions: { create: timed("transcription", (r) => openai.audio.transcriptions.create(r)) } },
+    };
+  }
+
+  function gauges() {
+    const jobs = family("Seconds since each scheduled job last ran.", "gauge");
+    Object.entries(runtime.jobs || {}).forEach(([job, info]) => {
+      if (!info?.last_at) return;
+      jobs.series.set(labelString({ job }), (now().getTime() - Date.parse(info.last_at)) / 1000);
+    });
+
+    const byState = {};
+    Object.values(users).forEach((u) => {
+      const state = u.onboarded ? "onboarded" : u.onboardingStep || "not_started";
+      byState[state] = (byState[state] || 0) + 1;
+    });
+    const userCount = family("Users by onboarding state.", "gauge");
+    Object.entries(byState).forEach(([state, n]) => userCount.series.set(labelString({ state }), n));
+
+    return { mindarsenal_job_last_run_age_seconds: jobs, mindarsenal_users: userCount };
+  }
+
+  function histogramLines() {
+    const name = "mindarsenal_openai_request_duration_seconds";
+    const lines = [`# HELP ${name} OpenAI request latency, by endpoint.`, `# TYPE ${name} histogram`];
+    openaiLatency.forEach((h, endpoint) => {
+      OPENAI_BUCKETS.forEach((le, i) => {
+        lines.push(`${name}_bucket${labelString({ endpoint, le })} ${h.buckets[i]}`);
+      });
+      lines.push(`${name}_bucket${labelString({ endpoint, le: "+Inf" })} ${h.count}`);
+      lines.push(`${name}_sum${labelString({ endpoint })} ${h.sum}`);
+      lines.push(`${name}_count${labelString({ endpoint })} ${h.count}`);
+    });
+    return lines;
+  }
+
+  // Prometheus text exposition format 0.0.4
+  function render() {
+    const lines = [];
+    Object.entries({ ...counters, ...gauges() }).forEach(([name, f]) => {
+      lines.push(`# HELP ${name} ${f.help}`, `# TYPE ${name} ${f.type}`);
+      f.series.forEach((value, labels) => lines.push(`${name}${labels} ${value}`));
+    });
+    return [...lines, ...histogramLines()].join("\n") + "\n";
+  }
+
+  return { countSend, countInbound, countPollingError, instrumentOpenAI, render };
+}
+
+module.exports = { createMetrics, OPENAI_BUCKETS };
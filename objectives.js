@@ -0,0 +1,78 @@
+// objectives.js
+// The Dawn Report's critical objectives: logs[date].am.objectives = [{ text, result?, carriedFrom? }]
+//   result = "done" | "partial" | "skipped", recorded after the Nightly Debrief
+//
+// A reply that lists its objectives (one per line, numbered, or "1) … 2) …") is split as written.
+// Prose goes to the AI extractor when there is one, else it is split into sentences.
+// Objectives not done by the end of a day are offered as carry-overs the next morning.
+
+const { shiftDate } = require("./time");
+const { parseHabitResults } = require("./habits");
+
+const MAX_OBJECTIVES = 3;
+
+function cleanObjective(text) {
+  return text
+    .replace(/^\s*(?:\d+[.):]|[-*•])\s*/, "")
+    .replace(/[\s.;,]+$/, "")
+    .trim();
+}
+
+// -> { objectives: [text], listed } where `listed` says the reply was already itemized
+function splitObjectives(text) {
+  const raw = String(text || "").trim();
+  const lines = raw.split(/\n+/).map(cleanObjective).filter(Boolean);
+  if (lines.length > 1) return { objectives: lines.slice(0, MAX_OBJECTIVES), listed: true };
+
+  const numbered = raw.split(/(?:^|\s+)\d+[.)]\s+/).map(cleanObjective).filter(Boolean);
+  if (numbered.length > 1) return { objectives: numbered.slice(0, MAX_OBJECTIVES), listed: true };
+
+  const parts = raw.split(/;|(?<=[.!?])\s+/).map(cleanObjective).filter(Boolean);
+  return { objectives: parts.slice(0, MAX_OBJECTIVES), listed: false };
+}
+
+function objectivesOf(day) {
+  return day?.am?.objectives || [];
+}
+
+function formatObjectives(objectives, { results = false } = {}) {
+  return objectives
+    .map((o, i) => `${i + 1}. ${o.text}${results ? ` (${o.result || "no result"})` : ""}`)
+    .join("\n");
+}
+
+// Objectives of `date` still waiting for a result
+function openObjectives(user, date) {
+  return objectivesOf(user.logs[date]).filter((o) => !o.result);
+}
+
+// Yesterday's objectives that were not done, as offered with today's Dawn Report
+function carryOvers(user, today) {
+  const date = shiftDate(today, -1);
+  return objectivesOf(user.logs[date])
+    .filter((o) => o.result !== "done")
+    .map((o) => ({ text: o.text, result: o.result || null, carriedFrom: o.carriedFrom || date }));
+}
+
+// Same answer formats as the habit results: "1 done, 2 skipped" or "y n y".
+// Returns the number of objectives that got a result.
+function applyObjectiveResults(objectives, text) {
+  const { results } = parseHabitResults(
+    text,
+    objectives.map((_, i) => ({ id: String(i) }))
+  );
+  Object.entries(results).forEach(([i, result]) => {
+    objectives[Number(i)].result = result;
+  });
+  return Object.keys(results).length;
+}
+
+module.exports = {
+  MAX_OBJECTIVES,
+  splitObjectives,
+  objectivesOf,
+  formatObjectives,
+  openObjectives,
+  carryOvers,
+  applyObjectiveResults,
+};
@@ -0,0 +1,289 @@
+// outbox.js
+// Persistent outbound queue: every message to Telegram or WhatsApp goes through here.
+//
+// - Jobs survive restarts (runtime.outbox.queue). One worker per channel sends them in order,
+//   so a slow Twilio never holds up Telegram. Each transport call is cut off after
+//   OUTBOX_SEND_TIMEOUT_MS and retried (a cut-off call may still have gone through).
+// - Failures retry with exponential backoff; Telegram 429 retry_after and Twilio 429/20429
+//   pause the whole channel instead of burning attempts.
+// - Permanent failures (4xx: blocked bot, invalid number, closed WhatsApp window) and jobs
+//   out of attempts land in runtime.outbox.dead for inspection / retry.
+// - onDelivered / onDead hooks fire with the job, so callers can act on confirmed delivery
+//   (e.g. only mark a prompt as sent once it actually went out).
+//
+// OUTBOX_MAX_ATTEMPTS   default 6
+// OUTBOX_SEND_TIMEOUT_MS   default 30000
+// OUTBOX_GAP_TELEGRAM_MS / OUTBOX_GAP_WHATSAPP_MS   minimum gap between sends per channel
+
+const crypto = require("crypto");
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 6;
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+const MAX_DEAD = 200;
+const SEND_TIMEOUT_MS = Number(process.env.OUTBOX_SEND_TIMEOUT_MS) || 30000;
+
+const CHANNEL_GAP_MS = {
+  telegram: Number(process.env.OUTBOX_GAP_TELEGRAM_MS) || 50,
+  whatsapp: Number(process.env.OUTBOX_GAP_WHATSAPP_MS) || 250,
+};
+
+// -> { retry: bool, rateLimited?: bool, retryAfterMs?: number }
+function classifyError(err) {
+  if (err?.permanent) return { retry: false };
+
+  // node-telegram-bot-api: err.response.body = { error_code, description, parameters: { retry_after } }
+  const tg = err?.response?.body;
+  if (tg?.error_code === 429) {
+    return { retry: true, rateLimited: true, retryAfterMs: (tg.parameters?.retry_after || 1) * 1000 };
+  }
+  if (tg?.error_code >= 400 && tg?.error_code < 500) return { retry: false };
+
+  // twilio RestException: err.status (HTTP), err.code (20429 = too many requests)
+  if (err?.status === 429 || err?.code === 20429) return { retry: true, rateLimited: true, retryAfterMs: 1000 };
+  if (err?.status >= 400 && err?.status < 500) return { retry: false };
+
+  // Network errors, 5xx
+  return { retry: true };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`send timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+// deps:
+//   runtime        live runtime object (queue + dead letters live under runtime.outbox)
+//   transports     { telegram(to, text, extra), whatsapp(to, text, extra) } -> Promise
+//   persist()      schedule a runtime write (coalesced; called on every queue change)
+//   onDelivered(job, result)
+//   onDead(job)
+//   logger
+//   now()
+//   sendTimeoutMs  per transport call
+function createOutbox({
+  runtime,
+  transports,
+  persist,
+  onDelivered,
+  onDead,
+  logger,
+  now = () => new Date(),
+  sendTimeoutMs = SEND_TIMEOUT_MS,
+}) {
+  if (!runtime.outbox) runtime.outbox = { queue: [], dead: [] };
+  const box = runtime.outbox;
+  if (!runtime.counters.send_retry) runtime.counters.send_retry = 0;
+  if (!runtime.counters.send_dead) runtime.counters.send_dead = 0;
+
+  // Resolvers for callers awaiting a final outcome; in-memory only
+  const waiters = new Map();
+  // Earliest time each channel may send again
+  const gate = { telegram: 0, whatsapp: 0 };
+
+  // Per-channel worker state
+  const timers = {};
+  const running = {};
+
+  function dueAt(job) {
+    return Math.max(new Date(job.nextAttemptAt).getTime(), gate[job.channel] || 0);
+  }
+
+  function settle(job, outcome) {
+    const resolve = waiters.get(job.id);
+    if (resolve) {
+      waiters.delete(job.id);
+      resolve(outcome);
+    }
+  }
+
+  function toDead(job, reason) {
+    box.queue = box.queue.filter((j) => j.id !== job.id);
+    job.deadAt = now().toISOString();
+    job.lastError = reason;
+    box.dead.push(job);
+    if (box.dead.length > MAX_DEAD) box.dead = box.dead.slice(-MAX_DEAD);
+    runtime.counters.send_dead++;
+    persist();
+
+    logger.error({
+      event: "send_dead",
+      job_id: job.id,
+      channel: job.channel,
+      user_key: job.userKey,
+      kind: job.meta?.kind,
+      attempts: job.attempts,
+      err: reason,
+    });
+
+    try {
+      if (onDead) onDead(job);
+    } catch (err) {
+      logger.error({ event: "outbox_hook_error", hook: "onDead", err: err?.message || String(err) });
+    }
+    settle(job, { ok: false, error: reason });
+  }
+
+  async function attempt(job) {
+    job.attempts++;
+    gate[job.channel] = now().getTime() + (CHANNEL_GAP_MS[job.channel] || 0);
+
+    try {
+      const result = await withTimeout(transports[job.channel](job.to, job.text, job.extra), sendTimeoutMs);
+
+      box.queue = box.queue.filter((j) => j.id !== job.id);
+      persist();
+
+      try {
+        if (onDelivered) onDelivered(job, result);
+      } catch (err) {
+        logger.error({ event: "outbox_hook_error", hook: "onDelivered", err: err?.message || String(err) });
+      }
+      settle(job, { ok: true, result });
+    } catch (err) {
+      const reason = err?.message || String(err);
+      const c = classifyError(err);
+
+      if (!c.retry) return toDead(job, reason);
+
+      if (c.rateLimited) {
+        // Back off the whole channel; a rate limit is not the job's fault
+        job.attempts--;
+        gate[job.channel] = now().getTime() + c.retryAfterMs;
+        job.nextAttemptAt = new Date(gate[job.channel]).toISOString();
+        logger.warn({ event: "send_rate_limited", channel: job.channel, retry_after_ms: c.retryAfterMs });
+      } else if (job.attempts >= MAX_ATTEMPTS) {
+        return toDead(job, reason);
+      } else {
+        job.nextAttemptAt = new Date(now().getTime() + backoffMs(job.attempts)).toISOString();
+      }
+
+      job.lastError = reason;
+      runtime.counters.send_retry++;
+      persist();
+
+      logger.warn({
+        event: "send_retry",
+        job_id: job.id,
+        channel: job.channel,
+        attempts: job.attempts,
+        next_attempt_at: job.nextAttemptAt,
+        err: reason,
+      });
+    }
+  }
+
+  async function drain(channel) {
+    if (running[channel]) return;
+    running[channel] = true;
+    clearTimeout(timers[channel]);
+    timers[channel] = null;
+
+    try {
+      for (;;) {
+        // Oldest job among those that are due; queue order breaks ties
+        let next = null;
+        for (const job of box.queue) {
+          if (job.channel === channel && (!next || dueAt(job) < dueAt(next))) next = job;
+        }
+        if (!next) break;
+
+        const wait = dueAt(next) - now().getTime();
+        if (wait > 0) {
+          timers[channel] = setTimeout(() => kick(channel), wait);
+          timers[channel].unref();
+          break;
+        }
+
+        await attempt(next);
+      }
+    } finally {
+      running[channel] = false;
+    }
+  }
+
+  // No channel: wake every channel with queued jobs
+  function kick(channel = null) {
+    const channels = channel ? [channel] : [...new Set(box.queue.map((j) => j.channel))];
+    setImmediate(() => {
+      channels.forEach((c) => {
+        drain(c).catch((err) => logger.error({ event: "outbox_error", channel: c, err: err?.message || String(err) }));
+      });
+    });
+  }
+
+  // Queue one message. Resolves with { ok, result } once delivered, or { ok: false, error }
+  // once dead-lettered.
+  //   { channel, to, text, extra?, userKey?, meta? }
+  function send({ channel, to, text, extra = null, userKey = null, meta = null }) {
+    const job = {
+      id: crypto.randomBytes(6).toString("hex"),
+      channel,
+      to: String(to),
+      text,
+      extra,
+      userKey,
+      meta,
+      attempts: 0,
+      createdAt: now().toISOString(),
+      nextAttemptAt: now().toISOString(),
+      lastError: null,
+    };
+
+    box.queue.push(job);
+    persist();
+    kick(channel);
+
+    return new Promise((resolve) => waiters.set(job.id, resolve));
+  }
+
+  function retryDead(id) {
+    const job = box.dead.find((j) => j.id === id);
+    if (!job) return null;
+
+    box.dead = box.dead.filter((j) => j.id !== id);
+    delete job.deadAt;
+    job.attempts = 0;
+    job.nextAttemptAt = now().toISOString();
+    box.queue.push(job);
+    persist();
+    kick(job.channel);
+
+    logger.info({ event: "send_dead_retry", job_id: id, channel: job.channel });
+    return job;
+  }
+
+  // Drop queued jobs matching `match(job)`; their senders settle with { ok: false, error: reason }.
+  function drop(match, reason = "dropped") {
+    const dropped = box.queue.filter(match);
+    box.queue = box.queue.filter((j) => !dropped.includes(j));
+    persist();
+
+    dropped.forEach((job) => settle(job, { ok: false, error: reason }));
+    return dropped.length;
+  }
+
+  // Drop everything queued or dead-lettered for a user (account deletion).
+  function forget(userKey) {
+    box.dead = box.dead.filter((j) => j.userKey !== userKey);
+    return drop((j) => j.userKey === userKey, "user deleted");
+  }
+
+  function snapshot() {
+    return { queue: box.queue, dead: box.dead, gate: { ...gate } };
+  }
+
+  // Pick up whatever was queued before a restart
+  kick();
+
+  return { send, retryDead, drop, forget, snapshot };
+}
+
+module.exports = { createOutbox, classifyError };
@@ -0,0 +1,163 @@
+// personas.js
+// Coach personas: the AI coach's voice plus the texts of onboarding and the daily prompts.
+//
+// One JSON file per persona in PERSONAS_DIR (default ./personas):
+//   { "id", "name", "description", "systemPrompt", "debriefVoice", "templates": { key: text } }
+// Any text may be an array of lines. Templates take {name}, {streak}, {best}, {mission},
+// {timezone}, {am}, {pm} and {coach}, plus what a caller passes for its template ({until},
+// {minutes}, {missing}, ...); unknown placeholders are left as written.
+// A persona only lists what it changes; missing keys come from DEFAULT_PERSONA.
+//
+// The directory is watched: edited files take effect without a restart. A file that fails
+// to parse keeps its last good version. Point PERSONAS_DIR at the data disk to edit in place.
+
+const fs = require("fs");
+const path = require("path");
+
+const PERSONAS_DIR = process.env.PERSONAS_DIR || path.join(__dirname, "personas");
+const DEFAULT_PERSONA = process.env.DEFAULT_PERSONA || "asmo";
+const RELOAD_DELAY_MS = 200;
+
+const ID_RE = /^[a-z0-9_-]{1,32}$/;
+
+function joinLines(value) {
+  return Array.isArray(value) ? value.join("\n") : String(value ?? "");
+}
+
+function interpolate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    vars[key] === undefined || vars[key] === null ? match : String(vars[key])
+  );
+}
+
+function parsePersona(raw, file) {
+  const data = JSON.parse(raw);
+  const id = data.id || path.basename(file, ".json");
+  if (!ID_RE.test(id)) throw new Error(`invalid persona id "${id}"`);
+
+  const templates = {};
+  Object.entries(data.templates || {}).forEach(([key, value]) => {
+    templates[key] = joinLines(value);
+  });
+
+  return {
+    id,
+    file,
+    name: data.name || id,
+    description: data.description || "",
+    systemPrompt: joinLines(data.systemPrompt || ""),
+    debriefVoice: joinLines(data.debriefVoice || ""),
+    templates,
+  };
+}
+
+// deps:
+//   dir      persona directory
+//   logger
+//   watch    reload when files change (default true)
+function createPersonas({ dir = PERSONAS_DIR, logger, watch = true }) {
+  let personas = {};
+
+  function load() {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+    } catch (err) {
+      logger.error({ event: "persona_load_error", dir, err: err?.message || String(err) });
+      return;
+    }
+
+    const next = {};
+    files.forEach((file) => {
+      try {
+        const persona = parsePersona(fs.readFileSync(path.join(dir, file), "utf8"), file);
+        next[persona.id] = persona;
+      } catch (err) {
+        logger.error({ event: "persona_load_error", file, err: err?.message || String(err) });
+        const previous = Object.values(personas).find((p) => p.file === file);
+        if (previous) next[previous.id] = previous;
+      }
+    });
+
+    if (!next[DEFAULT_PERSONA]) {
+      logger.error({ event: "persona_load_error", dir, err: `default persona "${DEFAULT_PERSONA}" missing` });
+    }
+
+    personas = next;
+    logger.info({ event: "persona_load", dir, personas: Object.keys(next) });
+  }
+
+  load();
+
+  // Editors write files in several steps; settle before reading
+  let watcher = null;
+  let reloadTimer = null;
+  if (watch) {
+    try {
+      watcher = fs.watch(dir, { persistent: false }, () => {
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(load, RELOAD_DELAY_MS);
+        reloadTimer.unref?.();
+      });
+    } catch (err) {
+      logger.warn({ event: "persona_watch_fail", dir, err: err?.message || String(err) });
+    }
+  }
+
+  function has(id) {
+    return !!personas[id];
+  }
+
+  // The user's persona, or the default one
+  function get(id) {
+    return personas[id] || personas[DEFAULT_PERSONA] || Object.values(personas)[0] || null;
+  }
+
+  function list() {
+    return Object.values(personas).map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  function vars(user, persona) {
+    return {
+      name: user.name || user.firstName || "warrior",
+      streak: user.stats?.streakCurrent ?? 0,
+      best: user.stats?.streakBest ?? 0,
+      mission: user.goalsText || user.habitsText || "No mission defined.",
+      timezone: user.timezone,
+      am: user.amTime,
+      pm: user.pmTime,
+      coach: persona?.name,
+    };
+  }
+
+  // Template `key` in the user's persona, interpolated. `extra` adds or overrides variables.
+  function text(user, key, extra = {}) {
+    const persona = get(user.persona);
+    const template = persona?.templates[key] ?? personas[DEFAULT_PERSONA]?.templates[key];
+    if (template === undefined) {
+      logger.error({ event: "persona_template_missing", persona: persona?.id, key });
+      return key;
+    }
+    return interpolate(template, { ...vars(user, persona), ...extra });
+  }
+
+  function systemPrompt(user) {
+    const persona = get(user.persona);
+    return interpolate(persona?.systemPrompt || personas[DEFAULT_PERSONA]?.systemPrompt || "", vars(user, persona));
+  }
+
+  function debriefVoice(user) {
+    const persona = get(user.persona);
+    return persona?.debriefVoice || personas[DEFAULT_PERSONA]?.debriefVoice || "a direct, concise voice";
+  }
+
+  function close() {
+    clearTimeout(reloadTimer);
+    watcher?.close();
+    watcher = null;
+  }
+
+  return { has, get, list, text, systemPrompt, debriefVoice, reload: load, close };
+}
+
+module.exports = { createPersonas, interpolate, DEFAULT_PERSONA };
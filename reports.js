@@ -0,0 +1,189 @@
+// reports.js
+// War Reports: one generator for the weekly, monthly and quarterly reports.
+//
+// Periods, by the trainee's own calendar:
+//   week     the last 7 days, today included once it is counted
+//   month    the calendar month of yesterday (on the 1st: all of last month)
+//   quarter  the calendar quarter of yesterday
+// Each is compared with the period before it.
+//
+// Delivery: the weekly report at user.reportDay / user.reportTime (default Sunday 18:00),
+// the monthly one on the 1st and the quarterly one on the 1st of Jan/Apr/Jul/Oct, at the
+// same time. All in the user's timezone; see dueReports().
+
+const { WEEKDAYS, shiftDate, weekdayOf } = require("./time");
+const { periodSummary } = require("./stats");
+const { weeklyHabitSummary } = require("./habits");
+
+const DEFAULT_REPORT_DAY = 0; // Sunday
+const DEFAULT_REPORT_TIME = "18:00";
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const PERIODS = {
+  week: { title: "Weekly War Report", previous: "the week before", signOff: "weekly.sign_off" },
+  month: { title: "Monthly War Report", previous: "the month before", signOff: "monthly.sign_off" },
+  quarter: { title: "Quarterly War Report", previous: "the quarter before", signOff: "quarterly.sign_off" },
+};
+
+// "sun", "Sunday", "0" -> 0; null when unknown
+function parseWeekday(text) {
+  const value = String(text || "").trim().toLowerCase();
+  if (/^[0-6]$/.test(value)) return Number(value);
+  const index = WEEKDAYS.findIndex((w) => value.length >= 3 && w.toLowerCase() === value.slice(0, 3));
+  return index === -1 ? null : index;
+}
+
+function reportScheduleOf(user) {
+  return {
+    day: Number.isInteger(user.reportDay) ? user.reportDay : DEFAULT_REPORT_DAY,
+    time: user.reportTime || DEFAULT_REPORT_TIME,
+  };
+}
+
+function formatSchedule(user) {
+  const { day, time } = reportScheduleOf(user);
+  return `${WEEKDAYS[day]} ${time}`;
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+// Calendar block of `months` months containing `date` -> { from, to, year, index }
+function calendarBlock(date, months) {
+  const year = Number(date.slice(0, 4));
+  const index = Math.floor((Number(date.slice(5, 7)) - 1) / months);
+  const first = index * months + 1;
+  return {
+    from: `${year}-${String(first).padStart(2, "0")}-01`,
+    to: lastDayOfMonth(year, first + months - 1),
+    year,
+    index,
+  };
+}
+
+// -> { from, to, label }
+function periodRange(period, today) {
+  if (period === "week") {
+    return { from: shiftDate(today, -6), to: today, label: `Last 7 days (to ${today})` };
+  }
+
+  const months = period === "quarter" ? 3 : 1;
+  const block = calendarBlock(shiftDate(today, -1), months);
+  const name = period === "quarter" ? `Q${block.index + 1} ${block.year}` : `${MONTHS[block.index]} ${block.year}`;
+  const to = block.to < today ? block.to : today;
+  return { from: block.from, to, label: to === block.to ? name : `${name} (to ${to})` };
+}
+
+function previousRange(period, range) {
+  if (period === "week") return { from: shiftDate(range.from, -7), to: shiftDate(range.to, -7) };
+
+  const block = calendarBlock(shiftDate(range.from, -1), period === "quarter" ? 3 : 1);
+  return { from: block.from, to: block.to };
+}
+
+// " (+12)" against the period before; nothing when there is none to compare with
+function delta(current, previous, digits = 0) {
+  if (previous === null || previous === undefined || current === null) return "";
+  const diff = Number((current - previous).toFixed(digits));
+  return ` (${diff > 0 ? "+" : diff < 0 ? "-" : "±"}${Math.abs(diff).toFixed(digits)})`;
+}
+
+function weekdayLine(summary) {
+  const days = summary.weekdays;
+  if (days.length < 2) return "";
+
+  const ranked = [...days].sort((a, b) => b.rate - a.rate || b.total - a.total);
+  const best = ranked[0];
+  const worst = ranked.at(-1);
+  if (best.rate === worst.rate) return "";
+  const label = (d) => `${WEEKDAYS[d.weekday]} (${d.rate}%)`;
+  return `• Best day: ${label(best)} · Worst: ${label(worst)}\n`;
+}
+
+function habitLines(user, today) {
+  const habits = weeklyHabitSummary(user, today);
+  if (!habits.length) return "";
+
+  let lines = "Habits:\n" + habits.map((h) => `• ${h.name}: ${h.done}/${h.target}`).join("\n") + "\n";
+  const weakest = habits[0];
+  if (weakest.ratio < 1) lines += `Failing: ${weakest.name}. Fix it first.\n`;
+  return lines + "\n";
+}
+
+// The report text plus its numbers. `signOff(key)` returns the persona's closing line.
+// -> { text, period, from, to, summary, previous (null when there was nothing before) }
+function buildReport(user, period, today, { signOff }) {
+  const meta = PERIODS[period];
+  const range = periodRange(period, today);
+  const before = previousRange(period, range);
+  const cur = periodSummary(user, range.from, range.to, today);
+  const prev = periodSummary(user, before.from, before.to, today);
+  const had = (key) => (prev.total ? prev[key] : null);
+  const missed = cur.missed.am + cur.missed.pm;
+  const missedBefore = prev.total ? prev.missed.am + prev.missed.pm : null;
+
+  const text =
+    `${meta.title}.\n\n` +
+    `${range.label}:\n` +
+    `• Execution rate: ${cur.rate}%${delta(cur.rate, had("rate"))}\n` +
+    `• Full days: ${cur.full}/${cur.total}${delta(cur.full, had("full"))}\n` +
+    `• Longest streak: ${cur.longestStreak}${delta(cur.longestStreak, had("longestStreak"))}\n` +
+    `• Missed prompts: ${missed} (AM ${cur.missed.am} · PM ${cur.missed.pm})${delta(missed, missedBefore)}\n` +
+    `• Follow-ups needed: ${cur.nudges}${delta(cur.nudges, had("nudges"))}\n` +
+    `• Days marked failed: ${cur.failed}${delta(cur.failed, had("failed"))}\n` +
+    (cur.score !== null
+      ? `• Avg execution score: ${cur.score.toFixed(1)}/10${delta(cur.score, had("score"), 1)}\n`
+      : "") +
+    (cur.amReplyMinutes !== null
+      ? `• Avg Dawn Report reply: ${cur.amReplyMinutes} min after the prompt` +
+        `${delta(cur.amReplyMinutes, had("amReplyMinutes"))}\n`
+      : "") +
+    weekdayLine(cur) +
+    (prev.total ? `(vs ${meta.previous})\n` : "") +
+    "\n" +
+    (period === "week" ? habitLines(user, today) : "") +
+    signOff(meta.signOff);
+
+  return { text, period, from: range.from, to: range.to, summary: cur, previous: prev.total ? prev : null };
+}
+
+// Reports due for a user whose wall clock reads `date` `time`, shortest period first
+function dueReports(user, date, time) {
+  const { day, time: at } = reportScheduleOf(user);
+  if (time !== at) return [];
+
+  const due = [];
+  if (weekdayOf(date) === day) due.push("week");
+  if (date.endsWith("-01")) {
+    due.push("month");
+    if (["01", "04", "07", "10"].includes(date.slice(5, 7))) due.push("quarter");
+  }
+  return due;
+}
+
+module.exports = {
+  PERIODS,
+  DEFAULT_REPORT_DAY,
+  DEFAULT_REPORT_TIME,
+  parseWeekday,
+  reportScheduleOf,
+  formatSchedule,
+  periodRange,
+  buildReport,
+  dueReports,
+};
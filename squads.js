@@ -0,0 +1,206 @@
+// squads.js
+// Accountability squads: trainees who see each other's daily execution.
+//
+// /squad create <name> makes a squad and a join code; /squad join <code> works from either
+// channel. A trainee is in at most one squad.
+// - Roll-call: once a day, at each member's cutoff, who filed the Dawn Report and the
+//   Nightly Debrief today (each member's own today).
+// - Leaderboard: with the weekly report, ranked by the week's completion rate, then streak.
+// Debrief text is shared in the roll-call unless the member opts out
+// (user.squadShareDebrief === false); completion status is always shared.
+//
+// Squads live in runtime.squads = { [id]: { id, name, code, ownerKey, members: [userKey], createdAt } }.
+
+const crypto = require("crypto");
+
+const { todayDate } = require("./time");
+const { weekSummary } = require("./stats");
+
+const SQUAD_MAX_MEMBERS = Number(process.env.SQUAD_MAX_MEMBERS) || 12;
+const NAME_MAX = 40;
+const DEBRIEF_CLIP = 140;
+
+// No 0/O or 1/I: codes get read out and typed on phones
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+function clip(text, max) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+}
+
+function memberName(user) {
+  return user.name || user.firstName || "Trainee";
+}
+
+function sharesDebrief(user) {
+  return user.squadShareDebrief !== false;
+}
+
+// deps:
+//   users          live user map
+//   runtime        live runtime object (squads)
+//   notify(user, text)  message a member (joins and departures)
+//   onChange()     persist runtime
+//   logger
+//   now()
+function createSquads({ users, runtime, notify, onChange, logger, now = () => new Date() }) {
+  if (!runtime.squads) runtime.squads = {};
+
+  function newCode() {
+    const taken = new Set(Object.values(runtime.squads).map((s) => s.code));
+    let code;
+    do {
+      code = "";
+      for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    } while (taken.has(code));
+    return code;
+  }
+
+  function squadOf(user) {
+    return Object.values(runtime.squads).find((s) => s.members.includes(user.userKey)) || null;
+  }
+
+  function members(squad) {
+    return squad.members.map((key) => users[key]).filter(Boolean);
+  }
+
+  function others(squad, user) {
+    return members(squad).filter((m) => m.userKey !== user.userKey);
+  }
+
+  // -> { squad } or { error: "in_squad" | "name_missing" }
+  function create(user, name) {
+    const clean = clip(name, NAME_MAX);
+    if (!clean) return { error: "name_missing" };
+    if (squadOf(user)) return { error: "in_squad" };
+
+    const squad = {
+      id: crypto.randomUUID(),
+      name: clean,
+      code: newCode(),
+      ownerKey: user.userKey,
+      members: [user.userKey],
+      createdAt: now().toISOString(),
+    };
+    runtime.squads[squad.id] = squad;
+    onChange();
+
+    logger.info({ event: "squad_create", squad_id: squad.id, user_key: user.userKey });
+    return { squad };
+  }
+
+  // -> { squad } or { error: "invalid_code" | "in_squad" | "full" }
+  function join(user, code) {
+    const wanted = String(code || "").trim().toUpperCase();
+    const squad = Object.values(runtime.squads).find((s) => s.code === wanted);
+    if (!squad) return { error: "invalid_code" };
+    if (squadOf(user)) return { error: "in_squad" };
+    if (squad.members.length >= SQUAD_MAX_MEMBERS) return { error: "full" };
+
+    squad.members.push(user.userKey);
+    onChange();
+
+    logger.info({ event: "squad_join", squad_id: squad.id, user_key: user.userKey, size: squad.members.length });
+    others(squad, user).forEach((m) => notify(m, `${memberName(user)} joined ${squad.name}.`));
+    return { squad };
+  }
+
+  // Drops `userKey` from its squad. The next member takes over an orphaned squad;
+  // an empty one is dissolved.
+  function remove(userKey) {
+    const squad = Object.values(runtime.squads).find((s) => s.members.includes(userKey));
+    if (!squad) return null;
+
+    squad.members = squad.members.filter((k) => k !== userKey);
+    if (squad.members.length === 0) {
+      delete runtime.squads[squad.id];
+      logger.info({ event: "squad_dissolve", squad_id: squad.id });
+    } else if (squad.ownerKey === userKey) {
+      squad.ownerKey = squad.members[0];
+    }
+    onChange();
+
+    logger.info({ event: "squad_leave", squad_id: squad.id, user_key: userKey });
+    return squad;
+  }
+
+  // -> { squad } or { error: "not_in_squad" }
+  function leave(user) {
+    const squad = remove(user.userKey);
+    if (!squad) return { error: "not_in_squad" };
+
+    members(squad).forEach((m) => notify(m, `${memberName(user)} left ${squad.name}.`));
+    return { squad };
+  }
+
+  // Account merge: the surviving record takes the seat, unless it already has one.
+  function transfer(fromKey, toKey) {
+    const squad = Object.values(runtime.squads).find((s) => s.members.includes(fromKey));
+    if (!squad) return;
+
+    if (Object.values(runtime.squads).some((s) => s.members.includes(toKey))) {
+      remove(fromKey);
+      return;
+    }
+
+    squad.members = squad.members.map((k) => (k === fromKey ? toKey : k));
+    if (squad.ownerKey === fromKey) squad.ownerKey = toKey;
+    onChange();
+  }
+
+  // ---------- Texts ----------
+  function statusLine(member) {
+    const today = todayDate(member.timezone, now());
+    const day = member.logs[today] || {};
+    const mark = (done) => (done ? "✓" : "✗");
+
+    const paused = member.pausedUntil > today && !(member.pausedFrom > today);
+    if (paused && !day.am && !day.pm) return `• ${memberName(member)} — paused`;
+
+    let line =
+      `• ${memberName(member)} — Dawn ${mark(day.am)} · Debrief ${mark(day.pm)}` +
+      ` · streak ${member.stats?.streakCurrent || 0}`;
+    if (day.pm?.text && sharesDebrief(member)) line += `\n  "${clip(day.pm.text, DEBRIEF_CLIP)}"`;
+    return line;
+  }
+
+  function rollCall(squad) {
+    const crew = members(squad);
+    const filed = crew.filter((m) => {
+      const day = m.logs[todayDate(m.timezone, now())] || {};
+      return day.am && day.pm;
+    }).length;
+
+    return (
+      `Squad roll-call — ${squad.name}\n` +
+      `${filed}/${crew.length} filed both reports today.\n\n` +
+      crew.map(statusLine).join("\n")
+    );
+  }
+
+  function leaderboard(squad) {
+    const rows = members(squad)
+      .map((m) => {
+        const today = todayDate(m.timezone, now());
+        return { member: m, week: weekSummary(m, today, today), streak: m.stats?.streakCurrent || 0 };
+      })
+      .sort((a, b) => b.week.rate - a.week.rate || b.week.full - a.week.full || b.streak - a.streak);
+
+    const lines = rows.map(
+      (r, i) =>
+        `${i + 1}. ${memberName(r.member)} — ${r.week.full}/${r.week.total} full days (${r.week.rate}%)` +
+        ` · streak ${r.streak} · best ${r.member.stats?.streakBest || 0}`
+    );
+
+    return `Squad leaderboard — ${squad.name}\nLast 7 days:\n\n${lines.join("\n")}`;
+  }
+
+  function list() {
+    return Object.values(runtime.squads);
+  }
+
+  return { create, join, leave, remove, transfer, squadOf, members, list, rollCall, leaderboard };
+}
+
+module.exports = { createSquads, sharesDebrief, SQUAD_MAX_MEMBERS };
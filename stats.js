@@ -0,0 +1,206 @@
+// stats.js
+// Discipline stats derived from user.logs.
+// A day is "counted" once: either when the PM debrief lands, or when the nightly
+// close-out finalizes it. Days with no reply at all count as failures; days the user
+// paused prompts for are skipped.
+
+const { shiftDate, weekdayOf } = require("./time");
+
+function emptyStats() {
+  return { totalDays: 0, daysWithBoth: 0, streakCurrent: 0, streakBest: 0 };
+}
+
+function updateDailyStats(user, dateStr) {
+  if (!user.logs[dateStr]) user.logs[dateStr] = {};
+  const day = user.logs[dateStr];
+  if (day._counted) return false;
+
+  // Paused days neither count nor break the streak, unless the work got done anyway
+  if (day.paused && !(day.am && day.pm)) {
+    day._counted = true;
+    return false;
+  }
+
+  user.stats.totalDays++;
+
+  if (day.am && day.pm) {
+    user.stats.daysWithBoth++;
+    user.stats.streakCurrent++;
+    user.stats.streakBest = Math.max(user.stats.streakBest, user.stats.streakCurrent);
+  } else {
+    user.stats.streakCurrent = 0;
+  }
+
+  day._counted = true;
+  return true;
+}
+
+// First day the user was on the protocol. Older profiles have no onboardedDate,
+// so fall back to the first day a prompt went out or a report came in.
+function trackingStart(user) {
+  if (user.onboardedDate) return user.onboardedDate;
+
+  const tracked = Object.keys(user.logs)
+    .filter((k) => {
+      const day = user.logs[k];
+      return day.am || day.pm || day.amPromptSent || day.pmPromptSent;
+    })
+    .sort();
+  return tracked[0] || null;
+}
+
+// Finalize every day before `today` that has not been closed yet.
+// Returns the dates that were counted by this call.
+function closeOutDays(user, today) {
+  const yesterday = shiftDate(today, -1);
+
+  // Profiles from before close-outs existed only get yesterday; /recalc handles the rest
+  let date = user.lastClosedDate ? shiftDate(user.lastClosedDate, 1) : yesterday;
+  const closed = [];
+
+  for (; date <= yesterday; date = shiftDate(date, 1)) {
+    if (updateDailyStats(user, date)) closed.push(date);
+  }
+
+  if (!user.lastClosedDate || user.lastClosedDate < yesterday) user.lastClosedDate = yesterday;
+  return closed;
+}
+
+// Rebuild user.stats from the full log history, counting silent days as failures.
+// Returns { before, after }.
+function recalcStats(user, today) {
+  const before = { ...user.stats };
+  user.stats = emptyStats();
+
+  Object.values(user.logs).forEach((day) => {
+    delete day._counted;
+  });
+
+  const start = trackingStart(user);
+  if (start) {
+    for (let date = start; date < today; date = shiftDate(date, 1)) {
+      updateDailyStats(user, date);
+    }
+
+    // Today only counts once it is complete, same as the live path
+    if (start <= today && user.logs[today]?.am && user.logs[today]?.pm) updateDailyStats(user, today);
+  }
+
+  user.lastClosedDate = shiftDate(today, -1);
+  return { before, after: { ...user.stats } };
+}
+
+// Streak at the end of each day from tracking start to `today`, replayed the way
+// recalcStats counts. Leaves the user untouched. -> [{ date, streak }]
+function streakHistory(user, today) {
+  const start = trackingStart(user);
+  if (!start) return [];
+
+  const scratch = { logs: {}, stats: emptyStats() };
+  Object.entries(user.logs).forEach(([date, day]) => {
+    scratch.logs[date] = { am: day.am, pm: day.pm, paused: day.paused };
+  });
+
+  const history = [];
+  for (let date = start; date <= today; date = shiftDate(date, 1)) {
+    const day = scratch.logs[date];
+    if (date < today || (day?.am && day?.pm)) updateDailyStats(scratch, date);
+    history.push({ date, streak: scratch.stats.streakCurrent });
+  }
+  return history;
+}
+
+// Totals for the days `from`..`to`. Silent days count; days before enlistment
+// and a `today` still in progress do not.
+// -> {
+//   total, full, nudges, failed, rate (0-100), score (average, or null),
+//   missed: { am, pm }          prompts delivered and never answered
+//   amReplyMinutes              average minutes from AM prompt to Dawn Report, or null
+//   longestStreak               longest run of full days inside the period
+//   weekdays: [{ weekday, total, full, rate }]   0 = Sunday; only days that counted
+// }
+function periodSummary(user, from, to, today) {
+  let total = 0;
+  let full = 0;
+  let nudges = 0;
+  let failed = 0;
+  const scores = [];
+  const replyMinutes = [];
+  const missed = { am: 0, pm: 0 };
+  const weekdays = {};
+
+  const start = trackingStart(user);
+
+  for (let key = from; key <= to; key = shiftDate(key, 1)) {
+    const day = user.logs[key] || {};
+
+    if (!start || key < start) continue;
+    if (key === today && !day._counted) continue;
+
+    total++;
+    if (day.am && day.pm) full++;
+    nudges += (day.followups || []).length;
+    if (day.failed) failed++;
+    if (day.pm?.analysis) scores.push(day.pm.analysis.score);
+    if (day.amPromptSent && !day.am) missed.am++;
+    if (day.pmPromptSent && !day.pm) missed.pm++;
+    if (day.am?.timestamp && day.amPromptAt) {
+      const minutes = (Date.parse(day.am.timestamp) - Date.parse(day.amPromptAt)) / 60000;
+      if (minutes >= 0) replyMinutes.push(minutes);
+    }
+
+    const w = weekdays[weekdayOf(key)] || (weekdays[weekdayOf(key)] = { total: 0, full: 0 });
+    w.total++;
+    if (day.am && day.pm) w.full++;
+  }
+
+  // Streak values only rise on full days and drop to 0 on missed ones; paused days hold
+  let run = 0;
+  let longestStreak = 0;
+  let previous = null;
+  streakHistory(user, today).forEach(({ date, streak }) => {
+    if (date < from || date > to) {
+      if (date < from) previous = streak;
+      return;
+    }
+    if (streak === 0) run = 0;
+    else if (previous === null || streak > previous) run++;
+    longestStreak = Math.max(longestStreak, run);
+    previous = streak;
+  });
+
+  const average = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+
+  return {
+    total,
+    full,
+    nudges,
+    failed,
+    rate: total ? Math.round((full / total) * 100) : 0,
+    score: average(scores),
+    missed,
+    amReplyMinutes: replyMinutes.length ? Math.round(average(replyMinutes)) : null,
+    longestStreak,
+    weekdays: Object.entries(weekdays).map(([weekday, w]) => ({
+      weekday: Number(weekday),
+      ...w,
+      rate: Math.round((w.full / w.total) * 100),
+    })),
+  };
+}
+
+// The 7 days ending `endDate`
+function weekSummary(user, endDate, today) {
+  return periodSummary(user, shiftDate(endDate, -6), endDate, today);
+}
+
+module.exports = {
+  emptyStats,
+  updateDailyStats,
+  trackingStart,
+  closeOutDays,
+  recalcStats,
+  streakHistory,
+  periodSummary,
+  weekSummary,
+};
@@ -0,0 +1,38 @@
+// storage/index.js
+// Storage interface shared by all backends (all calls synchronous):
+//   loadUsers()          -> { [userKey]: user }
+//   saveUser(user)       persist one user (profile + logs)
+//   saveUsers(users)     persist every user
+//   deleteUser(userKey)
+//   loadRuntime()        -> runtime object, or null when nothing stored yet
+//   saveRuntime(rt)
+//   close()
+//
+// STORAGE_BACKEND=json (default) | sqlite
+
+const path = require("path");
+
+const { createJsonStorage } = require("./json");
+
+function createStorage({
+  backend = process.env.STORAGE_BACKEND || "json",
+  dataDir = process.env.DATA_DIR || path.join(__dirname, "..", "data"),
+  sqliteFile = process.env.SQLITE_PATH || path.join(dataDir, "mindarsenal.db"),
+  logger,
+} = {}) {
+  if (backend === "json") return createJsonStorage({ dataDir, logger });
+
+  if (backend === "sqlite") {
+    // Loaded lazily so JSON deployments don't need the native module.
+    const { createSqliteStorage } = require("./sqlite");
+    const { migrateJsonToSqlite } = require("./migrate");
+
+    const storage = createSqliteStorage({ file: sqliteFile, logger });
+    if (storage.countUsers() === 0) migrateJsonToSqlite({ dataDir, sqlite: storage, logger });
+    return storage;
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+module.exports = { createStorage };
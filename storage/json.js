@@ -0,0 +1,88 @@
+// storage/json.js
+// JSON-file backend: data/users.json + data/runtime.json.
+// Every write goes to a temp file that is fsynced and renamed over the target,
+// so a crash mid-write leaves the previous file intact.
+
+const fs = require("fs");
+const path = require("path");
+
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function createJsonStorage({ dataDir, logger }) {
+  const usersFile = path.join(dataDir, "users.json");
+  const runtimeFile = path.join(dataDir, "runtime.json");
+
+  // The file holds every user, so keep the map we handed out and write it back whole.
+  let users = {};
+
+  function ensureDataDir() {
+    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  function writeUsers() {
+    ensureDataDir();
+    writeFileAtomic(usersFile, JSON.stringify(users, null, 2));
+    logger.info({ event: "users_save", count: Object.keys(users).length });
+  }
+
+  return {
+    backend: "json",
+
+    loadUsers() {
+      try {
+        users = readJson(usersFile);
+        logger.info({ event: "users_load", count: Object.keys(users).length });
+      } catch (err) {
+        logger.warn({ event: "users_load_fail", err: err?.message || String(err) });
+        users = {};
+      }
+      return users;
+    },
+
+    saveUser(user) {
+      users[user.userKey] = user;
+      writeUsers();
+    },
+
+    saveUsers(all) {
+      users = all;
+      writeUsers();
+    },
+
+    deleteUser(userKey) {
+      delete users[userKey];
+      writeUsers();
+    },
+
+    loadRuntime() {
+      try {
+        return readJson(runtimeFile);
+      } catch {
+        return null;
+      }
+    },
+
+    saveRuntime(rt) {
+      ensureDataDir();
+      writeFileAtomic(runtimeFile, JSON.stringify(rt, null, 2));
+    },
+
+    close() {},
+  };
+}
+
+module.exports = { createJsonStorage, writeFileAtomic };
@@ -0,0 +1,49 @@
+// storage/migrate.js
+// One-shot import of data/users.json (+ runtime.json) into the SQLite backend.
+// Runs automatically when the SQLite database is empty, or by hand:
+//   node storage/migrate.js [dataDir] [sqliteFile]
+
+const fs = require("fs");
+const path = require("path");
+
+const { createJsonStorage } = require("./json");
+
+function migrateJsonToSqlite({ dataDir, sqlite, logger }) {
+  const usersFile = path.join(dataDir, "users.json");
+  if (!fs.existsSync(usersFile)) return { migrated: 0 };
+
+  const json = createJsonStorage({ dataDir, logger });
+  const users = json.loadUsers();
+  const runtime = json.loadRuntime();
+
+  sqlite.saveUsers(users);
+  if (runtime) sqlite.saveRuntime(runtime);
+
+  // Keep the original as a backup, out of the way of the JSON backend.
+  const backup = `${usersFile}.migrated-${Date.now()}`;
+  fs.renameSync(usersFile, backup);
+
+  const migrated = Object.keys(users).length;
+  logger.info({ event: "storage_migrate", from: "json", to: "sqlite", count: migrated, backup });
+  return { migrated, backup };
+}
+
+module.exports = { migrateJsonToSqlite };
+
+if (require.main === module) {
+  const logger = require("../logger");
+  const { createSqliteStorage } = require("./sqlite");
+
+  const dataDir = process.argv[2] || path.join(__dirname, "..", "data");
+  const file = process.argv[3] || path.join(dataDir, "mindarsenal.db");
+  const sqlite = createSqliteStorage({ file, logger });
+
+  if (sqlite.countUsers() > 0) {
+    logger.error({ event: "storage_migrate_skip", reason: "sqlite_not_empty", file });
+    process.exitCode = 1;
+  } else {
+    migrateJsonToSqlite({ dataDir, sqlite, logger });
+  }
+
+  sqlite.close();
+}
@@ -0,0 +1,178 @@
+// storage/sqlite.js
+// SQLite backend (better-sqlite3, synchronous like the JSON backend).
+// Tables:
+//   users            one row per user; profile JSON without logs
+//   daily_logs       one row per user per local date
+//   runtime_counters send_ok / send_err / ...
+//   runtime_jobs     last run per job
+//   runtime_state    any other top-level runtime key, as JSON
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  user_key   TEXT PRIMARY KEY,
+  data       TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS daily_logs (
+  user_key TEXT NOT NULL,
+  date     TEXT NOT NULL,
+  data     TEXT NOT NULL,
+  PRIMARY KEY (user_key, date)
+);
+CREATE TABLE IF NOT EXISTS runtime_counters (
+  name  TEXT PRIMARY KEY,
+  value INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS runtime_jobs (
+  name TEXT PRIMARY KEY,
+  data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS runtime_state (
+  key  TEXT PRIMARY KEY,
+  data TEXT NOT NULL
+);
+`;
+
+function createSqliteStorage({ file, logger }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(SCHEMA);
+
+  const stmt = {
+    allUsers: db.prepare("SELECT user_key, data FROM users"),
+    allLogs: db.prepare("SELECT user_key, date, data FROM daily_logs"),
+    upsertUser: db.prepare(
+      "INSERT INTO users (user_key, data, updated_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT(user_key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+    ),
+    upsertLog: db.prepare(
+      "INSERT INTO daily_logs (user_key, date, data) VALUES (?, ?, ?) " +
+        "ON CONFLICT(user_key, date) DO UPDATE SET data = excluded.data"
+    ),
+    deleteLog: db.prepare("DELETE FROM daily_logs WHERE user_key = ? AND date = ?"),
+    deleteUser: db.prepare("DELETE FROM users WHERE user_key = ?"),
+    deleteUserLogs: db.prepare("DELETE FROM daily_logs WHERE user_key = ?"),
+    countUsers: db.prepare("SELECT COUNT(*) AS n FROM users"),
+
+    counters: db.prepare("SELECT name, value FROM runtime_counters"),
+    jobs: db.prepare("SELECT name, data FROM runtime_jobs"),
+    state: db.prepare("SELECT key, data FROM runtime_state"),
+    upsertCounter: db.prepare(
+      "INSERT INTO runtime_counters (name, value) VALUES (?, ?) " +
+        "ON CONFLICT(name) DO UPDATE SET value = excluded.value"
+    ),
+    upsertJob: db.prepare(
+      "INSERT INTO runtime_jobs (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data"
+    ),
+    upsertState: db.prepare(
+      "INSERT INTO runtime_state (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data"
+    ),
+  };
+
+  // Last serialized form of each log row, so saveUser only touches days that changed.
+  // Map<userKey, Map<date, json>>
+  const writtenLogs = new Map();
+
+  function writeUser(user) {
+    const { logs = {}, ...profile } = user;
+    stmt.upsertUser.run(user.userKey, JSON.stringify(profile), new Date().toISOString());
+
+    const known = writtenLogs.get(user.userKey) || new Map();
+    for (const [date, day] of Object.entries(logs)) {
+      const json = JSON.stringify(day);
+      if (known.get(date) === json) continue;
+      stmt.upsertLog.run(user.userKey, date, json);
+      known.set(date, json);
+    }
+    for (const date of known.keys()) {
+      if (!(date in logs)) {
+        stmt.deleteLog.run(user.userKey, date);
+        known.delete(date);
+      }
+    }
+    writtenLogs.set(user.userKey, known);
+  }
+
+  const saveUserTx = db.transaction(writeUser);
+  const saveUsersTx = db.transaction((all) => Object.values(all).forEach(writeUser));
+
+  return {
+    backend: "sqlite",
+
+    loadUsers() {
+      const users = {};
+      for (const row of stmt.allUsers.all()) {
+        users[row.user_key] = { ...JSON.parse(row.data), logs: {} };
+        writtenLogs.set(row.user_key, new Map());
+      }
+      for (const row of stmt.allLogs.all()) {
+        const user = users[row.user_key];
+        if (!user) continue;
+        user.logs[row.date] = JSON.parse(row.data);
+        writtenLogs.get(row.user_key).set(row.date, row.data);
+      }
+
+      logger.info({ event: "users_load", backend: "sqlite", count: Object.keys(users).length });
+      return users;
+    },
+
+    saveUser(user) {
+      saveUserTx(user);
+    },
+
+    saveUsers(all) {
+      saveUsersTx(all);
+      logger.info({ event: "users_save", backend: "sqlite", count: Object.keys(all).length });
+    },
+
+    deleteUser(userKey) {
+      db.transaction(() => {
+        stmt.deleteUser.run(userKey);
+        stmt.deleteUserLogs.run(userKey);
+      })();
+      writtenLogs.delete(userKey);
+    },
+
+    countUsers() {
+      return stmt.countUsers.get().n;
+    },
+
+    loadRuntime() {
+      const rows = stmt.state.all();
+      const counters = stmt.counters.all();
+      const jobs = stmt.jobs.all();
+      if (!rows.length && !counters.length && !jobs.length) return null;
+
+      const rt = { jobs: {}, counters: {} };
+      for (const row of rows) rt[row.key] = JSON.parse(row.data);
+      for (const row of counters) rt.counters[row.name] = row.value;
+      for (const row of jobs) rt.jobs[row.name] = JSON.parse(row.data);
+      return rt;
+    },
+
+    saveRuntime: db.transaction((rt) => {
+      for (const [key, value] of Object.entries(rt)) {
+        if (key === "counters") {
+          for (const [name, n] of Object.entries(value)) stmt.upsertCounter.run(name, n);
+        } else if (key === "jobs") {
+          for (const [name, job] of Object.entries(value)) stmt.upsertJob.run(name, JSON.stringify(job));
+        } else {
+          stmt.upsertState.run(key, JSON.stringify(value));
+        }
+      }
+    }),
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, waitFor } = require("./helpers");
+
+const waUser = () =>
+  enlistedUser({ userKey: "wa:+41790000001", telegramChatId: null, whatsappFrom: "+41790000001", name: "Lea" });
+
+test("a retrying recipient does not hold up the rest of the broadcast", async () => {
+  const { bot, twilio } = createTestBot({ users: { "wa:+41790000001": waUser(), "tg:100": enlistedUser() } });
+  twilio.messages.create = async () => {
+    throw Object.assign(new Error("Service unavailable"), { status: 503 });
+  };
+
+  const { broadcast } = bot.broadcaster.create({ text: "Hold the line." });
+  await waitFor(() => broadcast.recipients["tg:100"]?.status === "sent", { what: "telegram recipient" });
+
+  assert.equal(broadcast.status, "sending");
+  assert.equal(broadcast.recipients["wa:+41790000001"].status, "pending");
+  assert.deepEqual(broadcast.counts, { total: 2, sent: 1, failed: 0 });
+
+  bot.broadcaster.cancel(broadcast.id);
+  await waitFor(() => broadcast.finishedAt, { what: "broadcast end" });
+  assert.equal(broadcast.recipients["wa:+41790000001"].status, "cancelled");
+  assert.equal(bot.outbox.snapshot().queue.length, 0);
+});
+
+test("a broadcast interrupted by a restart is closed out, not left sending", () => {
+  const runtime = {
+    broadcasts: [
+      {
+        id: "b_1",
+        text: "Hold the line.",
+        segment: {},
+        status: "sending",
+        recipients: { "tg:100": { status: "sent" }, "wa:+41790000001": { status: "pending" } },
+        counts: { total: 2, sent: 1, failed: 0 },
+      },
+    ],
+  };
+  const { bot } = createTestBot({ users: { "tg:100": enlistedUser() }, runtime });
+  const b = bot.broadcaster.get("b_1");
+
+  assert.equal(b.status, "done");
+  assert.equal(b.interrupted, true);
+  assert.equal(b.recipients["wa:+41790000001"].status, "unknown");
+  assert.deepEqual(b.counts, { total: 2, sent: 1, failed: 0, unknown: 1 });
+});
@@ -0,0 +1,159 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, fakeClock, waitFor } = require("./helpers");
+const { chartWeeks, renderChart } = require("../charts");
+const { streakHistory } = require("../stats");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const both = { am: { text: "a" }, pm: { text: "p" } };
+
+test("streakHistory replays the streak day by day", () => {
+  const user = enlistedUser({
+    onboardedDate: "2026-10-14",
+    logs: {
+      "2026-10-14": both,
+      "2026-10-15": both,
+      "2026-10-16": { am: { text: "a" } },
+      "2026-10-17": { paused: true },
+      "2026-10-18": both,
+      "2026-10-19": { am: { text: "a" } },
+    },
+  });
+
+  assert.deepEqual(
+    streakHistory(user, "2026-10-19").map((h) => h.streak),
+    [1, 2, 0, 0, 1, 1]
+  );
+  // The user's own stats are not touched
+  assert.equal(user.logs["2026-10-14"]._counted, undefined);
+});
+
+test("the chart covers 4 to 12 weeks, ending with the current week", () => {
+  const fresh = chartWeeks(enlistedUser({ onboardedDate: "2026-10-16" }), "2026-10-19");
+  assert.equal(fresh.length, 4);
+  assert.equal(fresh.at(-1).monday, "2026-10-19");
+  assert.equal(fresh[0].monday, "2026-09-28");
+
+  const veteran = chartWeeks(enlistedUser({ onboardedDate: "2025-01-01" }), "2026-10-21");
+  assert.equal(veteran.length, 12);
+  assert.equal(veteran.at(-1).monday, "2026-10-19");
+
+  const mid = chartWeeks(enlistedUser({ onboardedDate: "2026-08-26" }), "2026-10-19");
+  assert.equal(mid.length, 9);
+});
+
+test("heatmap cells follow the day logs", () => {
+  const user = enlistedUser({
+    onboardedDate: "2026-10-13",
+    logs: {
+      "2026-10-13": both,
+      "2026-10-14": { pm: { text: "p" } },
+      "2026-10-16": { paused: true },
+      "2026-10-19": { am: { text: "a" } },
+    },
+  });
+
+  const states = chartWeeks(user, "2026-10-19")
+    .flatMap((w) => w.days)
+    .filter((d) => d.date >= "2026-10-12" && d.date <= "2026-10-20")
+    .map((d) => d.state);
+
+  assert.deepEqual(states, ["none", "full", "half", "missed", "paused", "missed", "missed", "open", "none"]);
+});
+
+test("renderChart returns a PNG", () => {
+  const png = renderChart(enlistedUser({ logs: { "2026-10-13": both } }), "2026-10-19");
+  assert.ok(Buffer.isBuffer(png));
+  assert.deepEqual(png.subarray(0, 8), PNG_SIGNATURE);
+});
+
+// Sunday 2026-10-25, 18:00 in Zurich
+function reportBot(overrides = {}, config = {}) {
+  const now = fakeClock("2026-10-25T17:00:00Z");
+  const user = enlistedUser({
+    onboardedDate: "2026-10-12",
+    logs: {
+      "2026-10-13": { ...both, pm: { text: "p", analysis: { score: 5 } }, _counted: true },
+      "2026-10-14": { ...both, _counted: true },
+      "2026-10-20": { ...both, pm: { text: "p", analysis: { score: 8 } }, _counted: true },
+      "2026-10-21": { ...both, _counted: true },
+      "2026-10-22": { ...both, _counted: true },
+      "2026-10-23": { am: { text: "a" }, followups: [{}], _counted: true },
+    },
+    ...overrides,
+  });
+  return createTestBot({ now, users: { [user.userKey]: user }, config });
+}
+
+test("the weekly report compares against the week before", () => {
+  const { bot } = reportBot();
+  const report = bot.report(bot.users["tg:100"]);
+
+  assert.match(report.text, /Execution rate: 50% \(\+21\)/);
+  assert.match(report.text, /Full days: 3\/6 \(\+1\)/);
+  assert.match(report.text, /Follow-ups needed: 1 \(\+1\)/);
+  assert.match(report.text, /Days marked failed: 0 \(±0\)/);
+  assert.match(report.text, /Avg execution score: 8\.0\/10 \(\+3\.0\)/);
+  assert.match(report.text, /\(vs the week before\)/);
+  assert.equal(report.previous.total, 7);
+});
+
+test("no deltas in the first week", () => {
+  const { bot } = reportBot({ onboardedDate: "2026-10-19" });
+  const { text, previous } = bot.report(bot.users["tg:100"]);
+
+  assert.match(text, /Execution rate: 50%\n/);
+  assert.doesNotMatch(text, /vs the week before/);
+  assert.equal(previous, null);
+});
+
+test("telegram gets the chart as a photo after the report", async () => {
+  const { bot, telegram } = reportBot();
+
+  bot.tick();
+  await waitFor(() => telegram.photos.length === 1, { what: "chart photo" });
+
+  assert.match(telegram.sent[0].text, /^Weekly War Report/);
+  assert.equal(telegram.photos[0].chatId, "100");
+  assert.equal(telegram.photos[0].contentType, "image/png");
+  assert.deepEqual(telegram.photos[0].photo.subarray(0, 8), PNG_SIGNATURE);
+});
+
+test("whatsapp gets the chart as a media URL served by the app", async () => {
+  const user = { userKey: "wa:+41790000001", telegramChatId: null, whatsappFrom: "+41790000001" };
+  const { bot, twilio } = reportBot(user, { publicUrl: "https://coach.example" });
+  const server = await bot.start({ port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    bot.tick();
+    await waitFor(() => twilio.sent.length === 2, { timeout: 5000, what: "report + chart" });
+
+    assert.match(twilio.sent[0].body, /^Weekly War Report/);
+    const [url] = twilio.sent[1].mediaUrl;
+    assert.match(url, /^https:\/\/coach\.example\/charts\/[0-9a-f]{48}\.png$/);
+
+    const res = await fetch(base + new URL(url).pathname);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "image/png");
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()).subarray(0, 8), PNG_SIGNATURE);
+
+    const bad = await fetch(`${base}/charts/${"0".repeat(48)}.png`);
+    assert.equal(bad.status, 404);
+  } finally {
+    await bot.stop();
+  }
+});
+
+test("whatsapp skips the chart without a public URL", async () => {
+  const user = { userKey: "wa:+41790000001", telegramChatId: null, whatsappFrom: "+41790000001" };
+  const { bot, twilio } = reportBot(user);
+
+  bot.tick();
+  await waitFor(() => twilio.sent.length === 1, { what: "report" });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  assert.equal(twilio.sent.length, 1);
+  assert.equal(twilio.sent[0].mediaUrl, undefined);
+});
@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, fakeClock, waitFor } = require("./helpers");
+
+// Europe/Zurich is UTC+2 until 2026-10-25, so 05:00Z is 07:00 local.
+const AM_UTC = "2026-10-19T05:00:00Z";
+const PM_UTC = "2026-10-19T19:00:00Z";
+
+function setup() {
+  const now = fakeClock("2026-10-19T04:59:00Z");
+  const ctx = createTestBot({ now, users: { "tg:100": enlistedUser() } });
+  return { ...ctx, user: ctx.bot.users["tg:100"] };
+}
+
+test("the AM prompt fires at the user's AM minute, once", async () => {
+  const { bot, telegram, now, user } = setup();
+
+  bot.tick();
+  assert.equal(telegram.sent.length, 0);
+
+  now.set(AM_UTC);
+  bot.tick();
+  bot.tick();
+  await waitFor(() => user.logs["2026-10-19"].amPromptSent, { what: "AM delivery" });
+
+  assert.equal(telegram.sent.length, 1);
+  assert.match(telegram.sent[0].text, /Dawn Report/);
+  assert.equal(telegram.sent[0].extra.reply_markup.inline_keyboard[0][0].callback_data, "snooze:am");
+  assert.equal(user.pending, "am");
+
+  now.advance(1);
+  bot.tick();
+  assert.equal(telegram.sent.length, 1);
+});
+
+test("the PM prompt fires at the PM minute with the habit buttons", async () => {
+  const { bot, telegram, now, user } = setup();
+
+  now.set(PM_UTC);
+  bot.tick();
+  await waitFor(() => user.logs["2026-10-19"].pmPromptSent, { what: "PM delivery" });
+
+  assert.equal(telegram.sent.length, 1);
+  const actions = telegram.sent[0].extra.reply_markup.inline_keyboard.flat().map((b) => b.callback_data);
+  assert.deepEqual(actions, [
+    "hab:h1:done",
+    "hab:h1:partial",
+    "hab:h1:skipped",
+    "hab:h2:done",
+    "hab:h2:partial",
+    "hab:h2:skipped",
+    "snooze:pm",
+  ]);
+  assert.equal(user.pending, "pm");
+});
+
+test("prompts follow the user's timezone, not the server's", async () => {
+  const now = fakeClock(AM_UTC);
+  const { bot, telegram } = createTestBot({
+    now,
+    users: { "tg:100": enlistedUser({ timezone: "America/New_York" }) },
+  });
+
+  bot.tick();
+  // 05:00Z is 01:00 in New York
+  assert.equal(telegram.sent.length, 0);
+
+  now.set("2026-10-19T11:00:00Z");
+  bot.tick();
+  await waitFor(() => telegram.sent.length === 1, { what: "AM delivery" });
+  assert.match(telegram.sent[0].text, /Dawn Report/);
+});
+
+test("whatsapp users get the prompt through Twilio with numbered options", async () => {
+  const now = fakeClock(AM_UTC);
+  const user = enlistedUser({ userKey: "wa:+41790000001", telegramChatId: null, whatsappFrom: "+41790000001" });
+  const { bot, twilio } = createTestBot({ now, users: { [user.userKey]: user } });
+
+  bot.tick();
+  await waitFor(() => twilio.sent.length === 1, { what: "WhatsApp delivery" });
+
+  assert.equal(twilio.sent[0].to, "whatsapp:+41790000001");
+  assert.equal(twilio.sent[0].from, "whatsapp:+14155238886");
+  assert.match(twilio.sent[0].body, /Dawn Report[\s\S]*1\. Snooze 30 min/);
+});
+
+test("paused users get no prompts", async () => {
+  const now = fakeClock(AM_UTC);
+  const { bot, telegram } = createTestBot({
+    now,
+    users: { "tg:100": enlistedUser({ pausedUntil: "2026-10-21" }) },
+  });
+
+  bot.tick();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.equal(telegram.sent.length, 0);
+  assert.equal(bot.users["tg:100"].logs["2026-10-19"].paused, true);
+});
+
+test("a cutoff that is not after the prompt times never fails the day early", async () => {
+  const now = fakeClock(AM_UTC);
+  const { bot, telegram } = createTestBot({ now, users: { "tg:100": enlistedUser({ cutoffTime: "00:30" }) } });
+
+  bot.tick();
+  await waitFor(() => bot.users["tg:100"].logs["2026-10-19"].amPromptSent, { what: "AM prompt" });
+  now.advance(1);
+  bot.tick();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.equal(telegram.sent.length, 1);
+  assert.equal(bot.users["tg:100"].logs["2026-10-19"].failed, undefined);
+  assert.equal(bot.users["tg:100"].pending, "am");
+});
@@ -0,0 +1,304 @@
+// test/helpers.js
+// Offline stand-ins for everything createBot() talks to: clock, storage, Telegram,
+// Twilio and OpenAI. Nothing here touches the network or the disk.
+
+const { Readable } = require("stream");
+
+const { createBot } = require("../app");
+const { emptyStats } = require("../stats");
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, fatal() {} };
+
+// now() with a hand on the dial: set("2026-10-19T05:00:00Z"), advance(minutes)
+function fakeClock(iso) {
+  let t = new Date(iso).getTime();
+  const now = () => new Date(t);
+  now.set = (next) => {
+    t = new Date(next).getTime();
+  };
+  now.advance = (minutes) => {
+    t += minutes * 60000;
+  };
+  return now;
+}
+
+// Same interface as storage/; `saved` holds copies of what was persisted.
+function memoryStorage({ users = {}, runtime = null } = {}) {
+  const saved = JSON.parse(JSON.stringify(users));
+  let savedRuntime = runtime;
+
+  return {
+    backend: "memory",
+    saved,
+    loadUsers: () => JSON.parse(JSON.stringify(saved)),
+    saveUser(user) {
+      saved[user.userKey] = JSON.parse(JSON.stringify(user));
+    },
+    saveUsers(all) {
+      Object.values(all).forEach((u) => this.saveUser(u));
+    },
+    deleteUser(userKey) {
+      delete saved[userKey];
+    },
+    loadRuntime: () => (savedRuntime ? JSON.parse(JSON.stringify(savedRuntime)) : null),
+    saveRuntime(rt) {
+      savedRuntime = JSON.parse(JSON.stringify(rt));
+    },
+    close() {},
+  };
+}
+
+// The slice of node-telegram-bot-api the bot uses. receive()/press() play incoming updates.
+function fakeTelegram() {
+  const handlers = {};
+  const textHandlers = [];
+  let messageId = 0;
+
+  const tg = {
+    sent: [],
+    documents: [],
+    photos: [],
+    // file_id -> Buffer, served by getFileStream
+    files: {},
+    webhook: null,
+    polling: false,
+
+    on(event, fn) {
+      (handlers[event] = handlers[event] || []).push(fn);
+    },
+    onText(regexp, fn) {
+      textHandlers.push([regexp, fn]);
+    },
+
+    async sendMessage(chatId, text, extra = {}) {
+      const msg = { message_id: ++messageId, chatId: String(chatId), text, extra };
+      tg.sent.push(msg);
+      return msg;
+    },
+    async sendDocument(chatId, doc, options, fileOptions) {
+      tg.documents.push({ chatId: String(chatId), content: String(doc), ...fileOptions });
+      return { message_id: ++messageId };
+    },
+    async sendPhoto(chatId, photo, options, fileOptions) {
+      tg.photos.push({ chatId: String(chatId), photo, ...fileOptions });
+      return { message_id: ++messageId };
+    },
+    getFileStream(fileId) {
+      if (!tg.files[fileId]) throw new Error(`unknown file ${fileId}`);
+      return Readable.from([tg.files[fileId]]);
+    },
+    async answerCallbackQuery() {
+      return true;
+    },
+    async setWebHook(url, options) {
+      tg.webhook = { url, ...options };
+      return true;
+    },
+    async deleteWebHook() {
+      tg.webhook = null;
+      return true;
+    },
+    async startPolling() {
+      tg.polling = true;
+    },
+    async stopPolling() {
+      tg.polling = false;
+    },
+    isPolling: () => tg.polling,
+
+    processUpdate(update) {
+      return dispatch(update);
+    },
+
+    // Resolves once every handler for the update has finished
+    receive(chatId, text, { firstName = "Tester" } = {}) {
+      return tg.receiveMessage(chatId, { text }, { firstName });
+    },
+    // Any message fields: { voice }, { photo, caption }, ...
+    receiveMessage(chatId, fields, { firstName = "Tester" } = {}) {
+      return dispatch({
+        message: {
+          message_id: ++messageId,
+          date: 0,
+          chat: { id: Number(chatId), type: "private", first_name: firstName },
+          from: { id: Number(chatId), first_name: firstName },
+          ...fields,
+        },
+      });
+    },
+    press(chatId, data) {
+      return dispatch({
+        callback_query: {
+          id: String(++messageId),
+          data,
+          from: { id: Number(chatId) },
+          message: { message_id: messageId, chat: { id: Number(chatId), type: "private" } },
+        },
+      });
+    },
+
+    textsTo(chatId) {
+      return tg.sent.filter((m) => m.chatId === String(chatId)).map((m) => m.text);
+    },
+  };
+
+  function dispatch(update) {
+    const runs = [];
+    if (update.message) {
+      const msg = update.message;
+      textHandlers.forEach(([regexp, fn]) => {
+        const match = regexp.exec(msg.text || "");
+        if (match) runs.push(fn(msg, match));
+      });
+      (handlers.message || []).forEach((fn) => runs.push(fn(msg)));
+    }
+    if (update.callback_query) {
+      (handlers.callback_query || []).forEach((fn) => runs.push(fn(update.callback_query)));
+    }
+    return Promise.all(runs);
+  }
+
+  return tg;
+}
+
+function fakeTwilio() {
+  const client = {
+    sent: [],
+    messages: {
+      async create(message) {
+        client.sent.push(message);
+        return { sid: `SM${client.sent.length}` };
+      },
+    },
+  };
+  return client;
+}
+
+// Chat replies echo a fixed line; structured calls (debrief audits) get a fixed analysis;
+// every voice note transcribes to `transcript`.
+function fakeOpenAI({ reply = "Execute.", analysis = null, objectives = [], transcript = "Trained. Read." } = {}) {
+  const client = {
+    calls: [],
+    transcriptions: [],
+    audio: {
+      transcriptions: {
+        async create(request) {
+          client.transcriptions.push(request);
+          return { text: transcript };
+        },
+      },
+    },
+    chat: {
+      completions: {
+        async create(request) {
+          client.calls.push(request);
+          const schema = request.response_format?.json_schema?.name;
+          let content = reply;
+          if (schema === "dawn_objectives") content = JSON.stringify({ objectives });
+          else if (schema) {
+            content = JSON.stringify(
+              analysis || { executed: ["Train"], skipped: [], excuses: [], score: 8, correction: "Repeat it." }
+            );
+          }
+          return { choices: [{ message: { content } }] };
+        },
+      },
+    },
+  };
+  return client;
+}
+
+// An enlisted trainee, as onboarding leaves them.
+function enlistedUser(overrides = {}) {
+  return {
+    userKey: "tg:100",
+    telegramChatId: "100",
+    whatsappFrom: null,
+    firstName: "Tester",
+    name: "Max",
+    timezone: "Europe/Zurich",
+    amTime: "07:00",
+    pmTime: "21:00",
+    cutoffTime: null,
+    goalsText: "1. Train (daily)\n2. Read (daily)",
+    habitsText: "Train\nRead",
+    habits: [
+      { id: "h1", name: "Train", frequency: { type: "daily" } },
+      { id: "h2", name: "Read", frequency: { type: "daily" } },
+    ],
+    habitSeq: 2,
+    habitStats: { h1: { done: 0, skipped: 0 }, h2: { done: 0, skipped: 0 } },
+    pending: null,
+    onboardingStep: null,
+    onboarded: true,
+    onboardedDate: "2026-10-12",
+    lastClosedDate: "2026-10-18",
+    logs: {},
+    stats: emptyStats(),
+    weeklyStats: {},
+    ...overrides,
+  };
+}
+
+// createBot() on fakes. Everything is returned so tests can inspect and drive it.
+function createTestBot({
+  now = fakeClock("2026-10-19T08:00:00Z"),
+  users = {},
+  runtime = null,
+  config = {},
+  openai,
+} = {}) {
+  const storage = memoryStorage({ users, runtime });
+  const telegram = fakeTelegram();
+  const twilioClient = fakeTwilio();
+  const ai = openai === undefined ? fakeOpenAI() : openai;
+
+  const bot = createBot({
+    storage,
+    telegram,
+    twilioClient,
+    openai: ai,
+    logger: silentLogger,
+    now,
+    config: {
+      twilioFrom: "whatsapp:+14155238886",
+      twilioSkipSignature: true,
+      cron: false,
+      ...config,
+    },
+  });
+
+  return { bot, now, storage, telegram, twilio: twilioClient, openai: ai };
+}
+
+// Outbound messages are delivered asynchronously by the outbox.
+async function waitFor(predicate, { timeout = 3000, what = "condition" } = {}) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+// POST a form to the running app, like Twilio does.
+async function postForm(baseUrl, path, fields, headers = {}) {
+  const res = await fetch(baseUrl + path, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded", ...headers },
+    body: new URLSearchParams(fields).toString(),
+  });
+  return { status: res.status, type: res.headers.get("content-type"), body: await res.text() };
+}
+
+module.exports = {
+  silentLogger,
+  fakeClock,
+  memoryStorage,
+  fakeTelegram,
+  fakeTwilio,
+  fakeOpenAI,
+  enlistedUser,
+  createTestBot,
+  waitFor,
+  postForm,
+};
@@ -0,0 +1,148 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { createTestBot, enlistedUser, fakeOpenAI, postForm, waitFor } = require("./helpers");
+
+const VOICE = Buffer.from("OggS fake opus payload");
+
+test("a telegram voice note is transcribed and files the Dawn Report", async () => {
+  const openai = fakeOpenAI({ transcript: "Ship the release. Gym at six." });
+  const { bot, telegram } = createTestBot({ users: { "tg:100": enlistedUser({ pending: "am" }) }, openai });
+  telegram.files.voice1 = VOICE;
+
+  await telegram.receiveMessage(100, { voice: { file_id: "voice1", mime_type: "audio/ogg", duration: 4 } });
+
+  const am = bot.users["tg:100"].logs["2026-10-19"].am;
+  assert.equal(am.text, "Ship the release. Gym at six.");
+  assert.equal(am.evidence, "voice");
+  assert.deepEqual(
+    am.objectives.map((o) => o.text),
+    ["Ship the release", "Gym at six"]
+  );
+
+  const [request] = openai.transcriptions;
+  assert.equal(request.model, "whisper-1");
+  assert.equal(request.file.name, "voice.ogg");
+  assert.deepEqual(Buffer.from(await request.file.arrayBuffer()), VOICE);
+  await waitFor(() => telegram.sent.length === 1, { what: "reply" });
+  assert.match(telegram.sent[0].text, /^Dawn Report logged\./);
+});
+
+test("voice notes without OpenAI are refused, not sent to the coach", async () => {
+  const { bot, telegram } = createTestBot({ users: { "tg:100": enlistedUser({ pending: "pm" }) }, openai: null });
+  telegram.files.voice1 = VOICE;
+
+  await telegram.receiveMessage(100, { voice: { file_id: "voice1", duration: 4 } });
+  await waitFor(() => telegram.sent.length === 1, { what: "reply" });
+
+  assert.equal(telegram.sent[0].text, "Voice notes are offline. Type it.");
+  assert.equal(bot.users["tg:100"].pending, "pm");
+  assert.equal(bot.users["tg:100"].logs["2026-10-19"].pm, undefined);
+});
+
+test("telegram photos are kept as proof; a caption is the message", async () => {
+  const { bot, telegram } = createTestBot({ users: { "tg:100": enlistedUser({ pending: "pm" }) } });
+  const photo = [
+    { file_id: "small", width: 90, height: 90 },
+    { file_id: "large", width: 1280, height: 1280 },
+  ];
+
+  await telegram.receiveMessage(100, { photo });
+  await waitFor(() => telegram.sent.length === 1, { what: "proof reply" });
+  assert.equal(
+    telegram.sent[0].text,
+    "Proof on record for 2026-10-19 (1 item).\nThe Nightly Debrief is still owed. In words."
+  );
+
+  await telegram.receiveMessage(100, { photo, caption: "1 done 2 done\nLeg day. Read 20 pages." });
+
+  const day = bot.users["tg:100"].logs["2026-10-19"];
+  assert.equal(day.proof.length, 2);
+  assert.deepEqual(day.proof[0], {
+    kind: "photo",
+    channel: "telegram",
+    fileId: "large",
+    contentType: "image/jpeg",
+    caption: null,
+    at: "2026-10-19T08:00:00.000Z",
+  });
+  assert.equal(day.proof[1].caption, "1 done 2 done\nLeg day. Read 20 pages.");
+  assert.equal(day.pm.evidence, "photo");
+  assert.equal(day.pm.habits.h1, "done");
+  assert.equal(bot.users["tg:100"].pending, null);
+});
+
+test("whatsapp media: MediaUrl0 images become proof, audio is fetched with Twilio auth", async () => {
+  const requests = [];
+  const mediaServer = http.createServer((req, res) => {
+    requests.push({ url: req.url, auth: req.headers.authorization });
+    res.writeHead(200, { "Content-Type": "audio/ogg" });
+    res.end(VOICE);
+  });
+  await new Promise((resolve) => mediaServer.listen(0, "127.0.0.1", resolve));
+  const mediaBase = `http://127.0.0.1:${mediaServer.address().port}`;
+
+  const user = enlistedUser({
+    userKey: "wa:+41790000001",
+    telegramChatId: null,
+    whatsappFrom: "+41790000001",
+    pending: "am",
+  });
+  const { bot, openai } = createTestBot({
+    users: { [user.userKey]: user },
+    config: { twilioAccountSid: "AC123", twilioAuthToken: "secret" },
+  });
+  const server = await bot.start({ port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const from = { From: "whatsapp:+41790000001" };
+
+  try {
+    const photo = await postForm(base, "/webhooks/whatsapp", {
+      ...from,
+      Body: "",
+      NumMedia: "1",
+      MediaUrl0: "https://api.twilio.com/2010-04-01/Accounts/AC123/Messages/MM1/Media/ME1",
+      MediaContentType0: "image/jpeg",
+      MessageSid: "MM1",
+    });
+    assert.match(photo.body, /Proof on record for 2026-10-19 \(1 item\)\.\nThe Dawn Report is still owed\./);
+
+    const day = bot.users["wa:+41790000001"].logs["2026-10-19"];
+    assert.equal(day.proof[0].kind, "photo");
+    assert.equal(day.proof[0].channel, "whatsapp");
+    assert.match(day.proof[0].url, /\/Media\/ME1$/);
+
+    const voice = await postForm(base, "/webhooks/whatsapp", {
+      ...from,
+      Body: "",
+      NumMedia: "1",
+      MediaUrl0: `${mediaBase}/Media/ME2`,
+      MediaContentType0: "audio/ogg",
+      MessageSid: "MM2",
+    });
+    assert.match(voice.body, /Dawn Report logged\./);
+    assert.deepEqual(requests, [
+      { url: "/Media/ME2", auth: `Basic ${Buffer.from("AC123:secret").toString("base64")}` },
+    ]);
+    assert.equal(openai.transcriptions.length, 1);
+    assert.equal(day.am.evidence, "voice");
+    assert.equal(day.am.text, "Trained. Read.");
+    assert.equal(day.proof.length, 1);
+  } finally {
+    await bot.stop();
+    await new Promise((resolve) => mediaServer.close(resolve));
+  }
+});
+
+test("a sticker or location is refused and files nothing while a report is pending", async () => {
+  const { bot, telegram } = createTestBot({ users: { "tg:100": enlistedUser({ pending: "am" }) } });
+
+  await telegram.receiveMessage(100, { sticker: { file_id: "st1", emoji: "💪" } });
+  await telegram.receiveMessage(100, { location: { latitude: 47.37, longitude: 8.54 } });
+  await waitFor(() => telegram.sent.length === 2, { what: "refusals" });
+
+  assert.equal(telegram.sent[0].text, "Unsupported message. Send text, a voice note or a photo.");
+  assert.equal(bot.users["tg:100"].pending, "am");
+  assert.equal(bot.users["tg:100"].logs["2026-10-19"].am, undefined);
+});
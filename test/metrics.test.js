@@ -0,0 +1,97 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, fakeClock, postForm, waitFor } = require("./helpers");
+
+async function get(base, path) {
+  const res = await fetch(base + path);
+  return { status: res.status, type: res.headers.get("content-type"), body: await res.text() };
+}
+
+test("/metrics exposes sends, inbound messages, OpenAI calls, job ages and users by state", async () => {
+  const now = fakeClock("2026-10-19T08:00:00Z");
+  const { bot, telegram, openai } = createTestBot({
+    now,
+    users: {
+      "tg:100": enlistedUser(),
+      "tg:200": enlistedUser({ userKey: "tg:200", telegramChatId: "200", onboarded: false, onboardingStep: "amTime" }),
+    },
+  });
+  const server = await bot.start({ port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await telegram.receive(100, "What now?");
+    await waitFor(() => telegram.sent.length === 1, { what: "coach reply" });
+
+    openai.chat.completions.create = async () => {
+      throw new Error("503 upstream");
+    };
+    await telegram.receive(100, "And now?");
+    await waitFor(() => telegram.sent.length === 2, { what: "fallback reply" });
+
+    await postForm(base, "/webhooks/whatsapp", { From: "whatsapp:+41790000001", Body: "start", MessageSid: "SM1" });
+
+    bot.tick();
+    now.advance(2);
+
+    const metrics = await get(base, "/metrics");
+    assert.equal(metrics.status, 200);
+    assert.equal(metrics.type, "text/plain; charset=utf-8; version=0.0.4");
+
+    const lines = metrics.body.split("\n");
+    assert.ok(lines.includes('mindarsenal_send_ok_total{channel="telegram"} 2'));
+    assert.ok(lines.includes('mindarsenal_inbound_messages_total{channel="telegram"} 2'));
+    assert.ok(lines.includes('mindarsenal_inbound_messages_total{channel="whatsapp"} 1'));
+    assert.ok(lines.includes('mindarsenal_openai_request_duration_seconds_count{endpoint="chat"} 2'));
+    assert.ok(lines.includes('mindarsenal_openai_request_duration_seconds_bucket{endpoint="chat",le="+Inf"} 2'));
+    assert.ok(lines.includes('mindarsenal_openai_errors_total{endpoint="chat"} 1'));
+    assert.ok(lines.includes('mindarsenal_job_last_run_age_seconds{job="cron_tick_am_pm"} 120'));
+    assert.ok(lines.includes('mindarsenal_users{state="onboarded"} 1'));
+    assert.ok(lines.includes('mindarsenal_users{state="amTime"} 1'));
+    assert.ok(lines.includes('mindarsenal_users{state="name"} 1'));
+    assert.ok(lines.includes("# TYPE mindarsenal_openai_request_duration_seconds histogram"));
+  } finally {
+    await bot.stop();
+  }
+});
+
+test("/health/ready fails while the cron tick is stale or storage cannot be written", async () => {
+  const now = fakeClock("2026-10-19T08:00:00Z");
+  const { bot, storage } = createTestBot({ now, config: { cron: true } });
+  const server = await bot.start({ port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const ready = async () => {
+    const res = await get(base, "/health/ready");
+    return { code: res.status, ...JSON.parse(res.body) };
+  };
+
+  try {
+    // Just started: the first tick is still due
+    assert.equal((await ready()).code, 200);
+
+    now.advance(7);
+    const stale = await ready();
+    assert.equal(stale.code, 503);
+    assert.equal(stale.status, "not_ready");
+    assert.equal(stale.checks.cron.ok, false);
+    assert.equal(stale.checks.storage.ok, true);
+
+    bot.tick();
+    const fresh = await ready();
+    assert.equal(fresh.code, 200);
+    assert.deepEqual(fresh.checks.cron, { ok: true, last_at: "2026-10-19T08:07:00.000Z", age_seconds: 0 });
+
+    storage.saveRuntime = () => {
+      throw new Error("EROFS: read-only file system");
+    };
+    const readOnly = await ready();
+    assert.equal(readOnly.code, 503);
+    assert.equal(readOnly.checks.storage.ok, false);
+
+    // Liveness stays up either way
+    assert.equal((await get(base, "/health")).body, "OK");
+  } finally {
+    await bot.stop();
+  }
+});
@@ -0,0 +1,139 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, fakeClock, fakeOpenAI, waitFor } = require("./helpers");
+const { splitObjectives } = require("../objectives");
+
+test("listed objectives are split as written, at most three", () => {
+  assert.deepEqual(splitObjectives("1. Ship the release\n2. Gym at 18:00\n- Call mum"), {
+    objectives: ["Ship the release", "Gym at 18:00", "Call mum"],
+    listed: true,
+  });
+  assert.deepEqual(splitObjectives("1) Ship it 2) Gym 3) Call mum 4) Sleep").objectives, [
+    "Ship it",
+    "Gym",
+    "Call mum",
+  ]);
+  assert.deepEqual(splitObjectives("Ship it. Gym; call mum."), {
+    objectives: ["Ship it", "Gym", "call mum"],
+    listed: false,
+  });
+});
+
+test("a prose Dawn Report goes through the AI; a listed one does not", async () => {
+  const openai = fakeOpenAI({ objectives: ["Ship the release", "Gym", "Call mum"] });
+  const { bot } = createTestBot({ users: { "tg:100": enlistedUser() }, openai });
+  const user = bot.users["tg:100"];
+  const extractions = () => openai.calls.filter((c) => c.response_format?.json_schema?.name === "dawn_objectives");
+
+  user.pending = "am";
+  const [logged] = await bot.engine.handle(user, "Big day, the release has to ship, then gym and I owe mum a call.", {
+    channel: "telegram",
+  });
+  assert.match(logged.text, /On record:\n1\. Ship the release\n2\. Gym\n3\. Call mum$/);
+  assert.deepEqual(
+    user.logs["2026-10-19"].am.objectives.map((o) => o.text),
+    ["Ship the release", "Gym", "Call mum"]
+  );
+  assert.equal(extractions().length, 1);
+
+  user.logs["2026-10-19"] = {};
+  user.pending = "am";
+  await bot.engine.handle(user, "Ship it\nGym", { channel: "telegram" });
+  assert.equal(user.logs["2026-10-19"].am.objectives.length, 2);
+  assert.equal(extractions().length, 1);
+});
+
+test("without the AI a prose Dawn Report is split into sentences", async () => {
+  const { bot } = createTestBot({ users: { "tg:100": enlistedUser() }, openai: null });
+  const user = bot.users["tg:100"];
+
+  user.pending = "am";
+  await bot.engine.handle(user, "Ship the release. Gym after work.", { channel: "telegram" });
+  assert.deepEqual(
+    user.logs["2026-10-19"].am.objectives.map((o) => o.text),
+    ["Ship the release", "Gym after work"]
+  );
+});
+
+test("the debrief lists the objectives, records a result each and carries the rest over", async () => {
+  const now = fakeClock("2026-10-19T05:00:00Z");
+  const { bot, telegram } = createTestBot({ now, users: { "tg:100": enlistedUser() } });
+  const user = bot.users["tg:100"];
+
+  user.pending = "am";
+  await bot.engine.handle(user, "1. Ship the release\n2. Gym\n3. Call mum", { channel: "telegram" });
+
+  bot.firePrompt(user, "pm", { job: "pm_prompt" });
+  await waitFor(() => telegram.sent.length === 1, { what: "PM prompt" });
+  assert.match(
+    telegram.sent[0].text,
+    /This morning's objectives:\n1\. Ship the release\n2\. Gym\n3\. Call mum\n\nResults per objective come last\./
+  );
+
+  user.pending = "pm";
+  const [round] = await bot.engine.handle(user, "1 done 2 done\nShipped. Skipped the gym.", { channel: "telegram" });
+  assert.equal(user.pending, "pm_objectives");
+  assert.match(round.text, /^Last: your Dawn Report objectives/);
+  assert.equal(round.buttons.length, 3);
+  assert.equal(round.buttons[1][2].action, "obj:2:skipped");
+
+  await bot.engine.handle(user, "", { channel: "telegram", action: "obj:1:done" });
+  const [done] = await bot.engine.handle(user, "2 partial", { channel: "telegram" });
+  assert.match(done.text, /Objectives executed: 1\/3\./);
+  assert.deepEqual(
+    user.logs["2026-10-19"].am.objectives.map((o) => o.result),
+    ["done", "partial", "skipped"]
+  );
+  assert.equal(user.pending, null);
+  assert.equal(user.stats.streakCurrent, 1);
+
+  // Next morning: the unfinished two come back
+  now.set("2026-10-20T05:00:00Z");
+  bot.firePrompt(user, "am", { job: "am_prompt" });
+  await waitFor(() => telegram.sent.length === 2, { what: "AM prompt" });
+  const prompt = telegram.sent[1];
+  assert.match(prompt.text, /Unfinished yesterday:\n1\. Gym \(partial\)\n2\. Call mum \(skipped\)/);
+  assert.equal(prompt.extra.reply_markup.inline_keyboard[0][0].callback_data, "carry");
+
+  user.pending = "am";
+  const [carried] = await bot.engine.handle(user, "", { channel: "telegram", action: "carry" });
+  assert.match(carried.text, /On record:\n1\. Gym\n2\. Call mum$/);
+  assert.deepEqual(user.logs["2026-10-20"].am.objectives, [
+    { text: "Gym", carriedFrom: "2026-10-19" },
+    { text: "Call mum", carriedFrom: "2026-10-19" },
+  ]);
+
+  const [again] = await bot.engine.handle(user, "", { channel: "telegram", action: "carry" });
+  assert.equal(again.text, "Nothing to carry over.");
+});
+
+test("habits count before the objective round, and the close-out finishes an unanswered round", async () => {
+  const now = fakeClock("2026-10-19T18:00:00Z");
+  const { bot, telegram } = createTestBot({ now, users: { "tg:100": enlistedUser() } });
+  const user = bot.users["tg:100"];
+
+  user.pending = "am";
+  await bot.engine.handle(user, "1. Ship the release\n2. Gym", { channel: "telegram" });
+  user.pending = "pm";
+  await bot.engine.handle(user, "1 done 2 skipped\nShipped it.", { channel: "telegram" });
+
+  assert.equal(user.pending, "pm_objectives");
+  assert.deepEqual(user.habitStats.h1, { done: 1, skipped: 0 });
+  assert.deepEqual(user.habitStats.h2, { done: 0, skipped: 1 });
+
+  // Never answered; the next morning's first tick closes it
+  now.set("2026-10-20T04:00:00Z");
+  bot.tick();
+  await waitFor(() => telegram.sent.length === 1, { what: "close-out tally" });
+
+  assert.equal(user.pending, null);
+  assert.match(telegram.sent[0].text, /^Debrief for 2026-10-19 closed at the day's end\./);
+  assert.match(telegram.sent[0].text, /Objectives executed: 0\/2\./);
+  assert.deepEqual(
+    user.logs["2026-10-19"].am.objectives.map((o) => o.result),
+    ["skipped", "skipped"]
+  );
+  assert.equal(user.logs["2026-10-19"].pm.analysis.score, 8);
+  assert.deepEqual(user.habitStats.h1, { done: 1, skipped: 0 });
+});
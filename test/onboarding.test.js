@@ -0,0 +1,119 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, waitFor, postForm } = require("./helpers");
+
+test("telegram: /start walks through the 5 onboarding steps", async () => {
+  const { bot, telegram } = createTestBot();
+  const texts = () => telegram.textsTo(42);
+
+  await telegram.receive(42, "/start");
+  await waitFor(() => texts().length === 2, { what: "welcome" });
+  assert.match(texts()[1], /Step 1\/5 — Name/);
+
+  await telegram.receive(42, "Max");
+  await waitFor(() => texts().length === 3, { what: "step 2" });
+  assert.match(texts()[2], /Step 2\/5 — Timezone/);
+  const tzKeyboard = telegram.sent.at(-1).extra.reply_markup.inline_keyboard;
+  assert.ok(tzKeyboard.flat().some((b) => b.callback_data === "tz:Europe/Zurich"));
+
+  // The timezone comes from a button press
+  await telegram.press(42, "tz:Europe/Zurich");
+  await waitFor(() => texts().length === 4, { what: "step 3" });
+  assert.match(texts()[3], /Step 3\/5 — Mission/);
+
+  await telegram.receive(42, "Train 4x/week\nRead 20 pages");
+  await waitFor(() => texts().length === 5, { what: "step 4" });
+  assert.match(texts()[4], /Step 4\/5 — AM time/);
+
+  await telegram.press(42, "time:am:06:00");
+  await waitFor(() => texts().length === 6, { what: "step 5" });
+  assert.match(texts()[5], /Step 5\/5 — PM time/);
+
+  await telegram.receive(42, "21:30");
+  await waitFor(() => texts().length === 7, { what: "summary" });
+
+  const user = bot.users["tg:42"];
+  assert.equal(user.onboarded, true);
+  assert.equal(user.onboardingStep, null);
+  assert.equal(user.name, "Max");
+  assert.equal(user.timezone, "Europe/Zurich");
+  assert.equal(user.amTime, "06:00");
+  assert.equal(user.pmTime, "21:30");
+  assert.deepEqual(
+    user.habits.map((h) => h.name),
+    ["Train", "Read 20 pages"]
+  );
+  // Tracking starts the day after enlistment
+  assert.equal(user.onboardedDate, "2026-10-19");
+  assert.equal(user.lastClosedDate, "2026-10-19");
+});
+
+test("telegram: invalid answers repeat the step", async () => {
+  const { bot, telegram } = createTestBot();
+
+  await telegram.receive(7, "/start");
+  await telegram.receive(7, "Max");
+  await telegram.receive(7, "Mars/Olympus");
+  await waitFor(() => telegram.textsTo(7).length === 4, { what: "timezone error" });
+
+  assert.match(telegram.textsTo(7)[3], /Unknown timezone/);
+  assert.equal(bot.users["tg:7"].onboardingStep, "timezone");
+});
+
+test("telegram: an engine error gets a fault reply, for messages and button presses", async () => {
+  const { bot, telegram } = createTestBot();
+  bot.engine.handle = async () => {
+    throw new Error("disk full");
+  };
+
+  await telegram.receive(7, "/start");
+  await telegram.press(7, "tz:Europe/Zurich");
+  await waitFor(() => telegram.textsTo(7).length === 2, { what: "fault replies" });
+
+  assert.deepEqual(telegram.textsTo(7), ["System fault. Retry. Stay sharp.", "System fault. Retry. Stay sharp."]);
+});
+
+test("whatsapp: the 5 onboarding steps answer in TwiML, options as numbers", async () => {
+  const { bot } = createTestBot();
+  const server = await bot.start({ port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let sid = 0;
+  const say = (Body) =>
+    postForm(base, "/webhooks/whatsapp", { From: "whatsapp:+41790000001", Body, MessageSid: `SM${++sid}` });
+
+  try {
+    let res = await say("start");
+    assert.equal(res.status, 200);
+    assert.match(res.type, /text\/xml/);
+    assert.match(res.body, /Step 1\/5 — Name/);
+
+    res = await say("Max");
+    assert.match(res.body, /Step 2\/5 — Timezone/);
+    assert.match(res.body, /1\. Zurich/);
+    assert.match(res.body, /Reply with a number\./);
+
+    // "1" picks the first option shown: Europe/Zurich
+    res = await say("1");
+    assert.match(res.body, /Step 3\/5 — Mission/);
+
+    res = await say("Train\nRead\nNo sugar");
+    assert.match(res.body, /Step 4\/5 — AM time/);
+
+    res = await say("07:15");
+    assert.match(res.body, /Step 5\/5 — PM time/);
+
+    // Second option of 20:00 / 21:00 / 22:00 / 23:00
+    res = await say("2");
+    assert.equal(res.status, 200);
+
+    const user = bot.users["wa:+41790000001"];
+    assert.equal(user.onboarded, true);
+    assert.equal(user.timezone, "Europe/Zurich");
+    assert.equal(user.amTime, "07:15");
+    assert.equal(user.pmTime, "21:00");
+    assert.equal(user.habits.length, 3);
+  } finally {
+    await bot.stop();
+  }
+});
@@ -0,0 +1,38 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createOutbox } = require("../outbox");
+const { silentLogger } = require("./helpers");
+
+function outbox(transports, options = {}) {
+  const runtime = { counters: {} };
+  const box = createOutbox({ runtime, transports, persist: () => {}, logger: silentLogger, ...options });
+  return { box, runtime };
+}
+
+test("a hung whatsapp call does not hold up telegram, and times out into a retry", async () => {
+  const sent = [];
+  const { box, runtime } = outbox(
+    {
+      telegram: async (to, text) => {
+        sent.push(text);
+        return { message_id: 1 };
+      },
+      whatsapp: () => new Promise(() => {}),
+    },
+    { sendTimeoutMs: 100 }
+  );
+
+  box.send({ channel: "whatsapp", to: "+41790000001", text: "stuck" });
+  const delivered = await box.send({ channel: "telegram", to: "100", text: "through" });
+
+  assert.equal(delivered.ok, true);
+  assert.deepEqual(sent, ["through"]);
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const [job] = box.snapshot().queue;
+  assert.equal(job.channel, "whatsapp");
+  assert.equal(job.attempts, 1);
+  assert.match(job.lastError, /timed out after 100 ms/);
+  assert.equal(runtime.counters.send_retry, 1);
+});
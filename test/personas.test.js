@@ -0,0 +1,136 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createTestBot, enlistedUser, fakeClock, silentLogger, waitFor } = require("./helpers");
+const { createPersonas, interpolate } = require("../personas");
+
+function tempDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "personas-"));
+  Object.entries(files).forEach(([name, data]) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data)));
+  return dir;
+}
+
+const asmo = {
+  id: "asmo",
+  name: "Master Asmo",
+  systemPrompt: ["Ruthless.", "Coach {name}."],
+  templates: { am_prompt: "Dawn Report, {name}.", pm_prompt: ["Nightly Debrief.", "Streak {streak}."] },
+};
+
+test("interpolate fills known variables and leaves the rest", () => {
+  assert.equal(interpolate("{name}: {streak} days, {unknown}", { name: "Max", streak: 0 }), "Max: 0 days, {unknown}");
+});
+
+test("templates interpolate user data and fall back to the default persona", () => {
+  const dir = tempDir({
+    "asmo.json": asmo,
+    "calm.json": { id: "calm", name: "Calm", templates: { am_prompt: "Breathe." } },
+  });
+  const personas = createPersonas({ dir, logger: silentLogger, watch: false });
+  const user = enlistedUser({ stats: { totalDays: 3, daysWithBoth: 3, streakCurrent: 3, streakBest: 3 } });
+
+  assert.equal(personas.text(user, "am_prompt"), "Dawn Report, Max.");
+  assert.equal(personas.text(user, "pm_prompt"), "Nightly Debrief.\nStreak 3.");
+  assert.equal(personas.systemPrompt(user), "Ruthless.\nCoach Max.");
+
+  user.persona = "calm";
+  assert.equal(personas.text(user, "am_prompt"), "Breathe.");
+  assert.equal(personas.text(user, "pm_prompt"), "Nightly Debrief.\nStreak 3.");
+
+  // A persona that was removed falls back to the default
+  user.persona = "gone";
+  assert.equal(personas.text(user, "am_prompt"), "Dawn Report, Max.");
+
+  assert.deepEqual(
+    personas.list().map((p) => p.id),
+    ["asmo", "calm"]
+  );
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("edited files are picked up without a restart; broken ones keep the last good version", async () => {
+  const dir = tempDir({ "asmo.json": asmo });
+  const personas = createPersonas({ dir, logger: silentLogger });
+  const user = enlistedUser();
+
+  try {
+    fs.writeFileSync(path.join(dir, "asmo.json"), JSON.stringify({ ...asmo, templates: { am_prompt: "Up, {name}." } }));
+    await waitFor(() => personas.text(user, "am_prompt") === "Up, Max.", { what: "reload" });
+
+    fs.writeFileSync(path.join(dir, "asmo.json"), "{ not json");
+    fs.writeFileSync(path.join(dir, "new.json"), JSON.stringify({ id: "new", name: "New" }));
+    await waitFor(() => personas.has("new"), { what: "reload" });
+    assert.equal(personas.text(user, "am_prompt"), "Up, Max.");
+  } finally {
+    personas.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the bundled personas cover every template of the default", () => {
+  const personas = createPersonas({ logger: silentLogger, watch: false });
+  const ids = personas.list().map((p) => p.id);
+  assert.ok(ids.includes("asmo"));
+  assert.ok(ids.includes("stoic"));
+
+  const keys = Object.keys(personas.get("asmo").templates);
+  const expected = ["welcome", "onboarding.start", "onboarding.mission_hint", "onboarding.complete", "setgoals"];
+  [...expected, "am_prompt", "pm_prompt"].forEach((key) => {
+    assert.ok(keys.includes(key), key);
+  });
+});
+
+test("/persona switches the coach for prompts and AI replies", async () => {
+  const now = fakeClock("2026-10-19T05:00:00Z");
+  const { bot, telegram, openai } = createTestBot({
+    now,
+    users: { "tg:100": enlistedUser({ stats: { totalDays: 5, daysWithBoth: 5, streakCurrent: 5, streakBest: 5 } }) },
+  });
+  const user = bot.users["tg:100"];
+
+  const [list] = await bot.engine.handle(user, "/persona", { channel: "telegram" });
+  assert.match(list.text, /▸ Master Asmo \(asmo\)/);
+  assert.ok(list.buttons.flat().some((b) => b.action === "persona:stoic"));
+
+  const [set] = await bot.engine.handle(user, "", { channel: "telegram", action: "persona:stoic" });
+  assert.equal(set.text, "Coach set: The Stoic Mentor.");
+  assert.equal(user.persona, "stoic");
+
+  bot.tick();
+  await waitFor(() => telegram.sent.length === 1, { what: "AM prompt" });
+  assert.match(telegram.sent[0].text, /^Morning intention\. Day 5 of your streak\./);
+
+  const [logged] = await bot.engine.handle(user, "Train. Read. Call mum.", { channel: "telegram" });
+  assert.match(logged.text, /^Intentions noted\./);
+
+  await bot.engine.handle(user, "How do I stay consistent?", { channel: "telegram" });
+  assert.match(openai.calls.at(-1).messages[0].content, /stoic mentor/);
+
+  // Picking the default clears the choice
+  await bot.engine.handle(user, "/persona asmo", { channel: "telegram" });
+  assert.equal(user.persona, null);
+  const [unknown] = await bot.engine.handle(user, "/persona yoda", { channel: "telegram" });
+  assert.match(unknown.text, /Unknown persona: yoda/);
+});
+
+test("nudges, the failed day and pause replies speak in the user's persona", async () => {
+  const now = fakeClock("2026-10-19T06:00:00Z");
+  const user = enlistedUser({ persona: "stoic", pending: "am" });
+  user.logs = { "2026-10-19": { amPromptSent: true, amPromptAt: "2026-10-19T05:00:00.000Z" } };
+  const { bot, telegram } = createTestBot({ now, users: { "tg:100": user } });
+
+  bot.tick();
+  now.set("2026-10-19T21:30:00Z");
+  bot.tick();
+  await waitFor(() => telegram.sent.length === 2, { what: "nudge + failed day" });
+
+  assert.match(telegram.sent[0].text, /^Your morning intention is still unwritten\./);
+  assert.match(telegram.sent[1].text, /^The day closed unreviewed\.\n\nNo morning intention\.\n/);
+  assert.ok(telegram.sent.every((m) => !/hiding from your own standard|Day marked failed/.test(m.text)));
+
+  const [paused] = await bot.engine.handle(bot.users["tg:100"], "/pause 2026-10-21", { channel: "telegram" });
+  assert.match(paused.text, /^Prompts paused until 2026-10-21\.\nToday already began/);
+});
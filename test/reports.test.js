@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, fakeClock, waitFor } = require("./helpers");
+const { dueReports, periodRange } = require("../reports");
+const { shiftDate, weekdayOf } = require("../time");
+
+// October 2026 from enlistment (Mon 12th): Mondays silent, Friday the 23rd without a debrief,
+// every Dawn Report 15 minutes after its prompt.
+function octoberLogs() {
+  const logs = {};
+  for (let date = "2026-10-12"; date <= "2026-10-31"; date = shiftDate(date, 1)) {
+    const promptAt = `${date}T05:00:00.000Z`;
+    const am = { text: "plan", timestamp: `${date}T05:15:00.000Z` };
+    const pm = { text: "done" };
+    const day = { amPromptSent: true, amPromptAt: promptAt, pmPromptSent: true, _counted: true };
+
+    if (weekdayOf(date) === 1) logs[date] = { amPromptSent: true, pmPromptSent: true, failed: true, _counted: true };
+    else if (date === "2026-10-23") logs[date] = { ...day, am };
+    else logs[date] = { ...day, am, pm };
+  }
+  return logs;
+}
+
+test("periods follow the calendar; reports are due at the user's report time", () => {
+  assert.deepEqual(periodRange("month", "2026-11-01"), { from: "2026-10-01", to: "2026-10-31", label: "October 2026" });
+  assert.deepEqual(periodRange("month", "2026-10-19"), {
+    from: "2026-10-01",
+    to: "2026-10-19",
+    label: "October 2026 (to 2026-10-19)",
+  });
+  assert.deepEqual(periodRange("quarter", "2027-01-01"), { from: "2026-10-01", to: "2026-12-31", label: "Q4 2026" });
+
+  const user = enlistedUser();
+  assert.deepEqual(dueReports(user, "2026-10-25", "18:00"), ["week"]);
+  assert.deepEqual(dueReports(user, "2026-10-25", "17:59"), []);
+  assert.deepEqual(dueReports(user, "2026-11-01", "18:00"), ["week", "month"]);
+  assert.deepEqual(dueReports(user, "2027-01-01", "18:00"), ["month", "quarter"]);
+  assert.deepEqual(dueReports({ ...user, reportDay: 5, reportTime: "07:30" }, "2027-01-01", "07:30"), [
+    "week",
+    "month",
+    "quarter",
+  ]);
+});
+
+test("the monthly report has weekdays, reply time, longest streak and missed prompts", () => {
+  const now = fakeClock("2026-11-01T17:00:00Z");
+  const { bot } = createTestBot({ now, users: { "tg:100": enlistedUser({ logs: octoberLogs() }) } });
+  const report = bot.report(bot.users["tg:100"], "month");
+
+  assert.equal(report.from, "2026-10-01");
+  assert.equal(report.to, "2026-10-31");
+  assert.equal(report.summary.total, 20);
+  assert.equal(report.summary.full, 16);
+  assert.deepEqual(report.summary.missed, { am: 3, pm: 4 });
+  assert.equal(report.summary.amReplyMinutes, 15);
+  assert.equal(report.summary.longestStreak, 6);
+  assert.equal(report.previous, null);
+
+  assert.match(report.text, /^Monthly War Report\.\n\nOctober 2026:\n/);
+  assert.match(report.text, /Execution rate: 80%\n/);
+  assert.match(report.text, /Longest streak: 6\n/);
+  assert.match(report.text, /Missed prompts: 7 \(AM 3 · PM 4\)\n/);
+  assert.match(report.text, /Avg Dawn Report reply: 15 min after the prompt\n/);
+  assert.match(report.text, /Best day: Tue \(100%\) · Worst: Mon \(0%\)\n/);
+  assert.doesNotMatch(report.text, /Habits:/);
+});
+
+test("the 1st of the month brings the monthly report with the weekly one, once", async () => {
+  const now = fakeClock("2026-11-01T17:00:00Z");
+  const user = enlistedUser({ logs: octoberLogs(), lastClosedDate: "2026-10-31" });
+  const { bot, telegram } = createTestBot({ now, users: { "tg:100": user } });
+
+  bot.tick();
+  await waitFor(() => telegram.textsTo("100").some((t) => t.startsWith("Monthly War Report")), { what: "report" });
+  bot.tick();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const reports = telegram.textsTo("100").filter((t) => / War Report\./.test(t));
+  assert.deepEqual(
+    reports.map((t) => t.split(".")[0]),
+    ["Weekly War Report", "Monthly War Report"]
+  );
+  assert.deepEqual(bot.users["tg:100"].logs["2026-11-01"].reportsSent, ["week", "month"]);
+});
+
+test("/set report moves the weekly report to the user's own day and time", async () => {
+  const now = fakeClock("2026-10-19T11:29:00Z");
+  const user = enlistedUser({ timezone: "America/New_York", lastClosedDate: "2026-10-18" });
+  const { bot, telegram } = createTestBot({ now, users: { "tg:100": user } });
+
+  const [reply] = await bot.engine.handle(bot.users["tg:100"], "/set report monday 07:30", { channel: "telegram" });
+  assert.equal(reply.text, "Weekly report set: Mon 07:30 (America/New_York).");
+  assert.equal(bot.users["tg:100"].reportDay, 1);
+  assert.equal(bot.users["tg:100"].reportTime, "07:30");
+
+  const [settings] = await bot.engine.handle(bot.users["tg:100"], "/settings", { channel: "telegram" });
+  assert.match(settings.text, /Weekly report: Mon 07:30\n/);
+
+  const [invalid] = await bot.engine.handle(bot.users["tg:100"], "/set report someday", { channel: "telegram" });
+  assert.match(invalid.text, /^Usage: \/set report <day> HH:MM/);
+
+  // 07:29 in New York: not yet
+  bot.tick();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(telegram.sent.length, 0);
+
+  now.set("2026-10-19T11:30:00Z");
+  bot.tick();
+  await waitFor(() => telegram.textsTo("100").some((t) => t.startsWith("Weekly War Report")), { what: "report" });
+  assert.equal(bot.runtime.jobs.weekly_report.last_status, "fired");
+});
@@ -0,0 +1,165 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, fakeClock, waitFor } = require("./helpers");
+
+const waUser = (overrides = {}) =>
+  enlistedUser({
+    userKey: "wa:+41790000001",
+    telegramChatId: null,
+    whatsappFrom: "+41790000001",
+    name: "Lea",
+    ...overrides,
+  });
+
+function squadBot(users, now = fakeClock("2026-10-19T08:00:00Z")) {
+  const map = {};
+  users.forEach((u) => {
+    map[u.userKey] = u;
+  });
+  return createTestBot({ now, users: map });
+}
+
+async function text(bot, user, message, channel) {
+  const [reply] = await bot.engine.handle(user, message, { channel });
+  return typeof reply === "string" ? reply : reply.text;
+}
+
+test("a squad is created on telegram and joined from whatsapp with the code", async () => {
+  const { bot, telegram } = squadBot([enlistedUser(), waUser()]);
+  const max = bot.users["tg:100"];
+  const lea = bot.users["wa:+41790000001"];
+
+  const created = await text(bot, max, "/squad create Night Owls", "telegram");
+  const [squad] = Object.values(bot.runtime.squads);
+  assert.match(created, /^Squad created: Night Owls\./);
+  assert.match(squad.code, /^[A-HJ-NP-Z2-9]{6}$/);
+  assert.ok(created.includes(`/squad join ${squad.code}`));
+
+  // Plain words work on WhatsApp, and the code is not case-sensitive
+  const joined = await text(bot, lea, `squad join ${squad.code.toLowerCase()}`, "whatsapp");
+  assert.match(joined, /^Joined Night Owls\. 2 members\./);
+  assert.deepEqual(squad.members, ["tg:100", "wa:+41790000001"]);
+  await waitFor(() => telegram.textsTo("100").includes("Lea joined Night Owls."), { what: "join notice" });
+
+  assert.match(await text(bot, lea, "/squad create Second", "whatsapp"), /already in Night Owls/);
+  assert.equal(await text(bot, lea, "/squad join ZZZZZZ", "whatsapp"), "Unknown squad code.");
+
+  assert.equal(await text(bot, max, "/squad leave", "telegram"), "You left Night Owls.");
+  assert.equal(squad.ownerKey, "wa:+41790000001");
+  await text(bot, lea, "/squad leave", "whatsapp");
+  assert.deepEqual(bot.runtime.squads, {});
+});
+
+test("the roll-call goes out at the cutoff and hides opted-out debrief text", async () => {
+  const now = fakeClock("2026-10-19T08:00:00Z");
+  const both = (pm) => ({ am: { text: "a" }, pm: { text: pm } });
+  const { bot, telegram, twilio } = squadBot(
+    [
+      enlistedUser({ logs: { "2026-10-19": both("Trained hard, read 20 pages.") } }),
+      waUser({ logs: { "2026-10-19": both("Argued with my boss.") } }),
+      enlistedUser({
+        userKey: "tg:200",
+        telegramChatId: "200",
+        name: "Ben",
+        logs: { "2026-10-19": { am: { text: "a" } } },
+      }),
+    ],
+    now
+  );
+  const [max, lea, ben] = ["tg:100", "wa:+41790000001", "tg:200"].map((k) => bot.users[k]);
+
+  await text(bot, max, "/squad create Night Owls", "telegram");
+  const [squad] = Object.values(bot.runtime.squads);
+  await text(bot, lea, `squad join ${squad.code}`, "whatsapp");
+  await text(bot, ben, `/squad join ${squad.code}`, "telegram");
+  assert.match(await text(bot, lea, "squad share off", "whatsapp"), /^Debrief text private\./);
+  assert.equal(lea.squadShareDebrief, false);
+
+  // 23:29 in Zurich: not yet
+  now.set("2026-10-19T21:29:00Z");
+  bot.tick();
+  assert.equal(bot.users["tg:100"].logs["2026-10-19"].squadRollCallSent, undefined);
+
+  now.set("2026-10-19T21:30:00Z");
+  bot.tick();
+  await waitFor(() => twilio.sent.some((m) => m.body.startsWith("Squad roll-call")), { what: "whatsapp roll-call" });
+  await waitFor(() => telegram.textsTo("200").some((t) => t.startsWith("Squad roll-call")), { what: "roll-call" });
+
+  const rollCall = telegram.textsTo("100").find((t) => t.startsWith("Squad roll-call"));
+  assert.match(rollCall, /^Squad roll-call — Night Owls\n2\/3 filed both reports today\./);
+  assert.match(rollCall, /• Max — Dawn ✓ · Debrief ✓ · streak 0\n {2}"Trained hard, read 20 pages\."/);
+  assert.match(rollCall, /• Lea — Dawn ✓ · Debrief ✓/);
+  assert.doesNotMatch(rollCall, /Argued/);
+  assert.match(rollCall, /• Ben — Dawn ✓ · Debrief ✗/);
+
+  // Once per day
+  now.set("2026-10-19T21:31:00Z");
+  bot.tick();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(telegram.sent.filter((m) => m.text.startsWith("Squad roll-call")).length, 2);
+});
+
+test("the weekly leaderboard ranks by completion rate, then streak", async () => {
+  const full = { am: { text: "a" }, pm: { text: "p" }, _counted: true };
+  const logs = (dates) => Object.fromEntries(dates.map((d) => [d, full]));
+  // The stats below are the week's close-outs; the report tick must not redo them
+  const closed = { lastClosedDate: "2026-10-24" };
+  const { bot, telegram } = squadBot(
+    [
+      enlistedUser({ ...closed, logs: logs(["2026-10-20", "2026-10-21"]), stats: { streakCurrent: 2, streakBest: 4 } }),
+      enlistedUser({
+        ...closed,
+        userKey: "tg:200",
+        telegramChatId: "200",
+        name: "Ben",
+        logs: logs(["2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23"]),
+        stats: { streakCurrent: 4, streakBest: 4 },
+      }),
+      enlistedUser({
+        ...closed,
+        userKey: "tg:300",
+        telegramChatId: "300",
+        name: "Ada",
+        logs: logs(["2026-10-22", "2026-10-23"]),
+        stats: { streakCurrent: 3, streakBest: 3 },
+      }),
+    ],
+    fakeClock("2026-10-25T17:00:00Z")
+  );
+  const [max, ben, ada] = ["tg:100", "tg:200", "tg:300"].map((k) => bot.users[k]);
+
+  await text(bot, max, "/squad create Night Owls", "telegram");
+  const [squad] = Object.values(bot.runtime.squads);
+  await text(bot, ben, `/squad join ${squad.code}`, "telegram");
+  await text(bot, ada, `/squad join ${squad.code}`, "telegram");
+
+  bot.tick();
+  await waitFor(() => telegram.textsTo("300").some((t) => t.startsWith("Squad leaderboard")), { what: "leaderboard" });
+
+  const board = telegram.textsTo("100").find((t) => t.startsWith("Squad leaderboard"));
+  const ranked = board.split("\n").filter((line) => /^\d\./.test(line));
+  assert.deepEqual(
+    ranked.map((line) => line.split(" — ")[0]),
+    ["1. Ben", "2. Ada", "3. Max"]
+  );
+  assert.match(ranked[0], /4\/6 full days \(67%\) · streak 4 · best 4/);
+  assert.equal(await text(bot, max, "/squad board", "telegram"), board);
+});
+
+test("linking accounts keeps the squad seat", async () => {
+  const { bot } = squadBot([enlistedUser({ userKey: "tg:200", telegramChatId: "200", name: "Ben" }), waUser()]);
+  const ben = bot.users["tg:200"];
+  const lea = bot.users["wa:+41790000001"];
+
+  await text(bot, ben, "/squad create Night Owls", "telegram");
+  const [squad] = Object.values(bot.runtime.squads);
+  await text(bot, lea, `squad join ${squad.code}`, "whatsapp");
+
+  const tg = enlistedUser({ userKey: "tg:100", telegramChatId: "100" });
+  bot.users[tg.userKey] = tg;
+  const issued = (await text(bot, tg, "/link", "telegram")).match(/Link code: (\S+)/)[1];
+  assert.match(await text(bot, lea, `/link ${issued}`, "whatsapp"), /^Accounts linked\./);
+
+  assert.deepEqual(squad.members, ["tg:200", "tg:100"]);
+});
@@ -0,0 +1,210 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, fakeClock, waitFor } = require("./helpers");
+const { closeOutDays, recalcStats, emptyStats } = require("../stats");
+
+// A full day through the engine: AM reply, then PM debrief with every habit and objective reported.
+async function fullDay(bot, user) {
+  user.pending = "am";
+  await bot.engine.handle(user, "Train at 6. Read at 9.", { channel: "telegram" });
+  user.pending = "pm";
+  await bot.engine.handle(user, "1 done 2 partial\nTrained. Read half.", { channel: "telegram" });
+  return bot.engine.handle(user, "1 done 2 partial", { channel: "telegram" });
+}
+
+test("AM + PM on the same day extends the streak", async () => {
+  const now = fakeClock("2026-10-19T08:00:00Z");
+  const { bot } = createTestBot({ now, users: { "tg:100": enlistedUser() } });
+  const user = bot.users["tg:100"];
+
+  const replies = await fullDay(bot, user);
+  assert.match(replies[0].text, /Habits executed: 1\/2 \(1 partial\)/);
+  assert.match(replies[0].text, /Execution score: 8\/10/);
+  assert.deepEqual(user.stats, { totalDays: 1, daysWithBoth: 1, streakCurrent: 1, streakBest: 1 });
+  assert.equal(user.logs["2026-10-19"]._counted, true);
+
+  now.set("2026-10-20T08:00:00Z");
+  await fullDay(bot, user);
+  assert.equal(user.stats.streakCurrent, 2);
+  assert.equal(user.stats.streakBest, 2);
+});
+
+test("habit buttons finish the debrief once every habit is in", async () => {
+  const { bot } = createTestBot({ users: { "tg:100": enlistedUser() } });
+  const user = bot.users["tg:100"];
+
+  user.pending = "am";
+  await bot.engine.handle(user, "Plan.", { channel: "telegram" });
+  user.pending = "pm";
+  const asked = await bot.engine.handle(user, "Did the work.", { channel: "telegram" });
+  assert.equal(user.pending, "pm_habits");
+  assert.equal(asked[0].buttons.length, 2);
+
+  await bot.engine.handle(user, "", { channel: "telegram", action: "hab:h1:done" });
+  assert.equal(user.stats.streakCurrent, 0);
+  await bot.engine.handle(user, "", { channel: "telegram", action: "hab:h2:done" });
+  assert.equal(user.pending, "pm_objectives");
+  await bot.engine.handle(user, "", { channel: "telegram", action: "obj:1:done" });
+
+  assert.equal(user.pending, null);
+  assert.equal(user.stats.streakCurrent, 1);
+  assert.equal(user.habitStats.h2.done, 1);
+});
+
+test("a habit button before the debrief text files nothing; the close-out still counts the day as missed", async () => {
+  const now = fakeClock("2026-10-19T19:30:00Z");
+  const { bot } = createTestBot({ now, users: { "tg:100": enlistedUser() } });
+  const user = bot.users["tg:100"];
+
+  user.pending = "am";
+  await bot.engine.handle(user, "Plan.", { channel: "telegram" });
+  user.pending = "pm";
+  const [pressed] = await bot.engine.handle(user, "", { channel: "telegram", action: "hab:h1:done" });
+  assert.equal(pressed.text, "Train: done.\nSend your Nightly Debrief.");
+  assert.equal(user.logs["2026-10-19"].pm, undefined);
+  assert.equal(user.pending, "pm");
+
+  now.set("2026-10-19T22:05:00Z");
+  bot.tick();
+  assert.deepEqual(user.stats, { totalDays: 1, daysWithBoth: 0, streakCurrent: 0, streakBest: 0 });
+});
+
+test("a habit button before the debrief text counts once the text arrives", async () => {
+  const { bot } = createTestBot({ users: { "tg:100": enlistedUser() } });
+  const user = bot.users["tg:100"];
+
+  user.pending = "pm";
+  await bot.engine.handle(user, "", { channel: "telegram", action: "hab:h1:done" });
+  await bot.engine.handle(user, "Did the work. 2 partial", { channel: "telegram" });
+
+  assert.deepEqual(user.logs["2026-10-19"].pm.habits, { h1: "done", h2: "partial" });
+  assert.equal(user.logs["2026-10-19"].pmHabitsDraft, undefined);
+  assert.equal(user.habitStats.h1.done, 1);
+});
+
+test("a silent day closed out by the cron breaks the streak", async () => {
+  const now = fakeClock("2026-10-19T08:00:00Z");
+  const user = enlistedUser({ stats: { totalDays: 4, daysWithBoth: 4, streakCurrent: 4, streakBest: 4 } });
+  const { bot, storage } = createTestBot({ now, users: { "tg:100": user } });
+
+  // Nothing on the 19th; the first tick on the 20th (Zurich) closes it
+  now.set("2026-10-19T21:59:00Z");
+  bot.tick();
+  assert.equal(bot.users["tg:100"].stats.streakCurrent, 4);
+
+  now.set("2026-10-19T22:05:00Z");
+  bot.tick();
+
+  const stats = bot.users["tg:100"].stats;
+  assert.equal(stats.totalDays, 5);
+  assert.equal(stats.streakCurrent, 0);
+  assert.equal(stats.streakBest, 4);
+  assert.equal(bot.users["tg:100"].lastClosedDate, "2026-10-19");
+  await waitFor(() => storage.saved["tg:100"].stats.totalDays === 5, { what: "save" });
+});
+
+test("close-out counts each missed day once and skips paused days", () => {
+  const user = enlistedUser({
+    lastClosedDate: "2026-10-14",
+    stats: emptyStats(),
+    logs: {
+      "2026-10-15": { am: { text: "a" }, pm: { text: "p" } },
+      "2026-10-16": { am: { text: "a" }, pm: { text: "p" } },
+      "2026-10-17": { paused: true },
+      "2026-10-18": { am: { text: "a" }, pm: { text: "p" } },
+    },
+  });
+
+  assert.deepEqual(closeOutDays(user, "2026-10-19"), ["2026-10-15", "2026-10-16", "2026-10-18"]);
+  assert.deepEqual(user.stats, { totalDays: 3, daysWithBoth: 3, streakCurrent: 3, streakBest: 3 });
+
+  // Running again is a no-op
+  assert.deepEqual(closeOutDays(user, "2026-10-19"), []);
+  assert.equal(user.stats.totalDays, 3);
+});
+
+test("recalcStats rebuilds the same numbers from the logs", () => {
+  const user = enlistedUser({
+    onboardedDate: "2026-10-15",
+    stats: { totalDays: 99, daysWithBoth: 99, streakCurrent: 99, streakBest: 99 },
+    logs: {
+      "2026-10-15": { am: { text: "a" }, pm: { text: "p" } },
+      "2026-10-16": { am: { text: "a" } },
+      "2026-10-17": { am: { text: "a" }, pm: { text: "p" } },
+      "2026-10-19": { am: { text: "a" }, pm: { text: "p" } },
+    },
+  });
+
+  const { after } = recalcStats(user, "2026-10-19");
+  // 15 ok, 16 half, 17 ok, 18 silent, 19 ok (complete today)
+  assert.deepEqual(after, { totalDays: 5, daysWithBoth: 3, streakCurrent: 1, streakBest: 1 });
+  assert.equal(user.lastClosedDate, "2026-10-18");
+});
+
+test("pausing after today's prompt went out does not skip today; the tick pauses from the next day", async () => {
+  const now = fakeClock("2026-10-19T08:00:00Z");
+  const { bot } = createTestBot({ now, users: { "tg:100": enlistedUser({ pending: "am" }) } });
+  const user = bot.users["tg:100"];
+  user.logs["2026-10-19"] = { amPromptSent: true };
+
+  const [paused] = await bot.engine.handle(user, "/pause 2026-10-21", { channel: "telegram" });
+  assert.match(paused.text, /Today still counts\./);
+  assert.equal(user.pending, "am");
+
+  bot.tick();
+  assert.equal(user.logs["2026-10-19"].paused, undefined);
+
+  // 21:00 in Zurich: the PM prompt for the owed day still goes out
+  now.set("2026-10-19T19:00:00Z");
+  bot.tick();
+  await waitFor(() => user.logs["2026-10-19"].pmPromptSent, { what: "PM prompt" });
+
+  now.set("2026-10-19T22:05:00Z");
+  bot.tick();
+  assert.equal(user.stats.totalDays, 1);
+  assert.equal(user.logs["2026-10-20"].paused, true);
+});
+
+test("/resume unpauses today only while a prompt time is still ahead", async () => {
+  const now = fakeClock("2026-10-19T04:00:00Z");
+  const stats = { totalDays: 5, daysWithBoth: 5, streakCurrent: 5, streakBest: 5 };
+  const { bot } = createTestBot({ now, users: { "tg:100": enlistedUser({ stats }) } });
+  const user = bot.users["tg:100"];
+
+  // 06:00 in Zurich, nothing sent yet: today is paused, and a /resume before 21:00 brings it back
+  await bot.engine.handle(user, "/pause 2026-10-22", { channel: "telegram" });
+  assert.equal(user.logs["2026-10-19"].paused, true);
+  now.set("2026-10-19T08:00:00Z");
+  const [back] = await bot.engine.handle(user, "/resume", { channel: "telegram" });
+  assert.match(back.text, /Back to work\.$/);
+  assert.equal(user.logs["2026-10-19"].paused, undefined);
+
+  // 23:00: both prompt times are past, so today stays paused
+  await bot.engine.handle(user, "/pause 2026-10-22", { channel: "telegram" });
+  now.set("2026-10-19T21:00:00Z");
+  bot.tick();
+  const [late] = await bot.engine.handle(user, "/resume", { channel: "telegram" });
+  assert.match(late.text, /Today stays paused\./);
+  assert.equal(user.logs["2026-10-19"].paused, true);
+
+  now.set("2026-10-19T22:05:00Z");
+  bot.tick();
+  assert.equal(user.stats.streakCurrent, 5);
+});
+
+test("linking rebuilds stats as of the injected clock; a code redeemed by its own account is explained", async () => {
+  const now = fakeClock("2026-11-02T08:00:00Z");
+  const wa = enlistedUser({ userKey: "wa:+41790000001", telegramChatId: null, whatsappFrom: "+41790000001" });
+  const { bot } = createTestBot({ now, users: { "tg:100": enlistedUser(), [wa.userKey]: wa } });
+  const tg = bot.users["tg:100"];
+
+  const [issued] = await bot.engine.handle(tg, "/link", { channel: "telegram" });
+  const code = issued.text.match(/Link code: (\S+)/)[1];
+  const [own] = await bot.engine.handle(tg, `/link ${code}`, { channel: "telegram" });
+  assert.equal(own.text, "This code came from this account. Send it from your other one.");
+
+  const [linked] = await bot.engine.handle(bot.users[wa.userKey], `/link ${code}`, { channel: "whatsapp" });
+  assert.match(linked.text, /^Accounts linked\./);
+  assert.equal(bot.users["tg:100"].lastClosedDate, "2026-11-01");
+});
@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestBot, enlistedUser, fakeClock, waitFor } = require("./helpers");
+
+const full = (score) => ({
+  am: { text: "plan" },
+  pm: { text: "done", habits: { h1: "done", h2: "done" }, analysis: { score } },
+  _counted: true,
+});
+
+// Sunday 2026-10-25, 18:00 in Zurich (CET from today on)
+function setup() {
+  const now = fakeClock("2026-10-25T17:00:00Z");
+  const user = enlistedUser({
+    onboardedDate: "2026-10-12",
+    logs: {
+      "2026-10-18": full(9), // 8 days back: outside the window
+      "2026-10-19": full(8),
+      "2026-10-20": full(6),
+      "2026-10-21": { am: { text: "plan" }, followups: [{}, {}], failed: true, _counted: true },
+      "2026-10-22": full(7),
+      "2026-10-23": { pm: { text: "late", habits: { h1: "partial", h2: "skipped" } }, followups: [{}], _counted: true },
+      "2026-10-24": full(9),
+      "2026-10-25": { am: { text: "plan" } }, // today, still open
+    },
+  });
+  return { now, ...createTestBot({ now, users: { "tg:100": user } }) };
+}
+
+test("the weekly report sums the last 7 days, today only once it is counted", () => {
+  const { bot } = setup();
+  const report = bot.report(bot.users["tg:100"]);
+
+  assert.equal(report.summary.total, 6);
+  assert.equal(report.summary.full, 4);
+  assert.equal(report.summary.rate, 67);
+  assert.match(report.text, /Last 7 days \(to 2026-10-25\)/);
+  assert.match(report.text, /Execution rate: 67%/);
+  assert.match(report.text, /Full days: 4\/6/);
+  assert.match(report.text, /Follow-ups needed: 3/);
+  assert.match(report.text, /Days marked failed: 1/);
+  assert.match(report.text, /Avg execution score: 7\.5\/10/);
+});
+
+test("the weekly report lists habits weakest first", () => {
+  const { bot } = setup();
+  const { text } = bot.report(bot.users["tg:100"]);
+
+  assert.match(text, /Habits:\n• Read: 4\/7\n• Train: 4\.5\/7/);
+  assert.match(text, /Failing: Read\. Fix it first\./);
+});
+
+test("the tick sends the report to every enlisted user at their report time", async () => {
+  const { bot, telegram } = setup();
+  bot.users["tg:200"] = enlistedUser({ userKey: "tg:200", telegramChatId: "200", onboarded: false });
+
+  bot.tick();
+  await waitFor(() => telegram.sent.length === 1, { what: "weekly report" });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.equal(telegram.sent.length, 1);
+  assert.equal(telegram.sent[0].chatId, "100");
+  assert.match(telegram.sent[0].text, /^Weekly War Report\./);
+  assert.equal(bot.runtime.jobs.weekly_report.last_status, "fired");
+});
+
+test("a user enlisted mid-week is measured from enlistment", () => {
+  const { bot } = setup();
+  const user = bot.users["tg:100"];
+  user.onboardedDate = "2026-10-23";
+
+  const report = bot.report(user);
+  assert.equal(report.summary.total, 2);
+  assert.equal(report.summary.full, 1);
+});
@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const twilio = require("twilio");
+
+const { createTestBot, enlistedUser, postForm } = require("./helpers");
+
+const FROM = "whatsapp:+41790000001";
+
+async function running(opts) {
+  const ctx = createTestBot(opts);
+  const server = await ctx.bot.start({ port: 0 });
+  return { ...ctx, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+test("replies are folded into one TwiML response", async () => {
+  const { bot, base, twilio: client } = await running();
+
+  try {
+    const res = await postForm(base, "/webhooks/whatsapp", { From: FROM, Body: "start", MessageSid: "SM1" });
+
+    assert.equal(res.status, 200);
+    assert.match(res.type, /^text\/xml/);
+    assert.match(res.body, /^<\?xml version="1\.0" encoding="UTF-8"\?><Response><Message>Welcome to the MindArsenal Beta\./);
+    assert.equal((res.body.match(/<Message>/g) || []).length, 2);
+    assert.match(res.body, /<Message>MindArsenal Coach online\.\nStep 1\/5 — Name\.\nHow do I address you\?<\/Message><\/Response>$/);
+    // Nothing went out through the REST API
+    assert.equal(client.sent.length, 0);
+  } finally {
+    await bot.stop();
+  }
+});
+
+test("reply text is XML-escaped", async () => {
+  const user = enlistedUser({ userKey: "wa:+41790000001", telegramChatId: null, whatsappFrom: "+41790000001" });
+  const { bot, base } = await running({ users: { [user.userKey]: user } });
+
+  try {
+    const res = await postForm(base, "/webhooks/whatsapp", { From: FROM, Body: "set name <Max & Co>", MessageSid: "SM2" });
+    assert.match(res.body, /<Message>Name set: &lt;Max &amp; Co&gt;\.<\/Message>/);
+  } finally {
+    await bot.stop();
+  }
+});
+
+test("a redelivered MessageSid gets an empty response", async () => {
+  const { bot, base } = await running();
+
+  try {
+    const fields = { From: FROM, Body: "start", MessageSid: "SM3" };
+    await postForm(base, "/webhooks/whatsapp", fields);
+    const again = await postForm(base, "/webhooks/whatsapp", fields);
+
+    assert.equal(again.status, 200);
+    assert.equal(again.body, '<?xml version="1.0" encoding="UTF-8"?><Response/>');
+    assert.equal(bot.users["wa:+41790000001"].onboardingStep, "name");
+  } finally {
+    await bot.stop();
+  }
+});
+
+test("the Twilio signature is enforced", async () => {
+  const authToken = "test-auth-token";
+  const { bot, base } = await running({
+    config: { twilioSkipSignature: false, twilioAuthToken: authToken, publicUrl: "https://coach.example" },
+  });
+
+  try {
+    const fields = { From: FROM, Body: "start", MessageSid: "SM4" };
+
+    const missing = await postForm(base, "/webhooks/whatsapp", fields);
+    assert.equal(missing.status, 403);
+
+    const forged = await postForm(base, "/webhooks/whatsapp", fields, { "X-Twilio-Signature": "bm90IGl0" });
+    assert.equal(forged.status, 403);
+    assert.equal(bot.users["wa:+41790000001"], undefined);
+
+    const signature = twilio.getExpectedTwilioSignature(authToken, "https://coach.example/webhooks/whatsapp", fields);
+    const signed = await postForm(base, "/webhooks/whatsapp", fields, { "X-Twilio-Signature": signature });
+    assert.equal(signed.status, 200);
+    assert.match(signed.body, /Step 1\/5/);
+  } finally {
+    await bot.stop();
+  }
+});
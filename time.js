@@ -0,0 +1,109 @@
+// time.js
+// Timezone helpers. All per-user scheduling and log keys go through here so
+// prompts, daily logs and streaks follow the user's own clock.
+
+// Fallback for users without a usable timezone (legacy profiles): the server zone.
+const DEFAULT_TIMEZONE =
+  process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let fmt = formatterCache.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      weekday: "short",
+      hourCycle: "h23",
+    });
+    formatterCache.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+// Returns the canonical IANA name ("europe/zurich" -> "Europe/Zurich") or null.
+function normalizeTimezone(text) {
+  const value = String(text || "").trim();
+  if (!value) return null;
+
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: value }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+function resolveTimezone(tz) {
+  return normalizeTimezone(tz) || DEFAULT_TIMEZONE;
+}
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Wall-clock view of `date` in `tz`: { date: "YYYY-MM-DD", time: "HH:MM", weekday: 0-6 }
+function zonedParts(date, tz) {
+  const parts = {};
+  for (const p of getFormatter(resolveTimezone(tz)).formatToParts(date)) {
+    parts[p.type] = p.value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+function todayDate(tz, now = new Date()) {
+  return zonedParts(now, tz).date;
+}
+
+// "7:5" is rejected; "7:05" -> "07:05". Returns null on anything that is not 24h HH:MM.
+function formatTimeString(text) {
+  const match = String(text || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const h = Number(match[1]);
+  const m = Number(match[2]);
+  if (h < 0 || h > 23 || m < 0 || m > 59) return null;
+
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+// "2026-11-01" -> "2026-11-01"; null on anything that is not a real calendar date.
+function formatDateString(text) {
+  const value = String(text || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value ? value : null;
+}
+
+// Calendar arithmetic on "YYYY-MM-DD" keys (timezone-free).
+function shiftDate(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// 0 = Sunday, as in zonedParts
+function weekdayOf(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_TIMEZONE,
+  normalizeTimezone,
+  resolveTimezone,
+  zonedParts,
+  todayDate,
+  formatTimeString,
+  formatDateString,
+  shiftDate,
+  weekdayOf,
+};
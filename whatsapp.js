@@ -0,0 +1,78 @@
+// whatsapp.js
+// Guards for the Twilio inbound webhook (/webhooks/whatsapp).
+//
+// - X-Twilio-Signature is checked against PUBLIC_URL + the request path, so nobody can post
+//   as an arbitrary phone number. TWILIO_SKIP_SIGNATURE=true turns this off for local dev.
+// - Twilio retries a webhook that timed out or failed; every MessageSid is handled once.
+//   The seen-set lives in runtime.whatsappSeen (newest last, capped at SEEN_MAX).
+//
+// Rejected requests are logged as "whatsapp_webhook_reject" with a reason.
+
+const twilio = require("twilio");
+
+const SEEN_MAX = 2000;
+
+// deps:
+//   authToken       TWILIO_AUTH_TOKEN
+//   publicUrl       PUBLIC_URL, e.g. "https://mindarsenal.onrender.com" (no trailing slash)
+//   skipSignature   TWILIO_SKIP_SIGNATURE === "true"
+//   runtime         live runtime object (seen MessageSids)
+//   onChange()      persist runtime
+//   logger
+function createWhatsAppGuard({ authToken, publicUrl, skipSignature, runtime, onChange, logger }) {
+  if (!runtime.whatsappSeen) runtime.whatsappSeen = [];
+  const seen = new Set(runtime.whatsappSeen);
+
+  if (skipSignature) {
+    logger.warn({ event: "twilio_signature_skip", msg: "Twilio signature validation disabled." });
+  } else if (!authToken || !publicUrl) {
+    logger.warn({
+      event: "twilio_signature_unconfigured",
+      msg: "TWILIO_AUTH_TOKEN or PUBLIC_URL missing; every WhatsApp webhook will be rejected.",
+    });
+  }
+
+  function reject(req, res, status, reason) {
+    logger.warn({
+      event: "whatsapp_webhook_reject",
+      reason,
+      ip: req.ip,
+      message_sid: req.body?.MessageSid,
+    });
+    res.status(status).type("text/plain").send(reason);
+  }
+
+  // Express middleware: 403 unless the request really comes from Twilio.
+  function verifySignature(req, res, next) {
+    if (skipSignature) return next();
+    if (!authToken || !publicUrl) return reject(req, res, 403, "signature_unconfigured");
+
+    const signature = req.get("x-twilio-signature");
+    if (!signature) return reject(req, res, 403, "signature_missing");
+
+    const url = publicUrl.replace(/\/+$/, "") + req.originalUrl;
+    if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+      return reject(req, res, 403, "signature_invalid");
+    }
+    next();
+  }
+
+  // True the first time a MessageSid shows up; records it.
+  // Messages without a sid (hand-made dev requests) are never deduplicated.
+  function firstDelivery(sid) {
+    if (!sid) return true;
+    if (seen.has(sid)) return false;
+
+    seen.add(sid);
+    runtime.whatsappSeen.push(sid);
+    if (runtime.whatsappSeen.length > SEEN_MAX) {
+      runtime.whatsappSeen.splice(0, runtime.whatsappSeen.length - SEEN_MAX).forEach((s) => seen.delete(s));
+    }
+    onChange();
+    return true;
+  }
+
+  return { verifySignature, firstDelivery };
+}
+
+module.exports = { createWhatsAppGuard, SEEN_MAX };